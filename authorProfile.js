@@ -0,0 +1,35 @@
+import { books, authors } from './data.js';
+import { sortBooks } from './sorting.js';
+
+/**
+ * Collects an author's bibliography and statistics about it.
+ *
+ * @param {string} authorId - The ID of the author.
+ * @returns {?Object} The author's profile, or null for unknown authors:
+ *     - name: the author's name
+ *     - books: their books, oldest first
+ *     - totalPages: the page count of all their books combined
+ *     - averagePopularity: the mean popularity of their books, rounded
+ *     - genres: the genre IDs they write in with the number of their books in each,
+ *       most common first
+ */
+export const getAuthorProfile = (authorId) => {
+    if (!authors[authorId]) return null;
+
+    const authorBooks = sortBooks(books.filter(book => book.author === authorId), 'oldest');
+    const genreCounts = new Map();
+    authorBooks.forEach(book => book.genres.forEach(genre => {
+        genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1);
+    }));
+
+    const totalPopularity = authorBooks.reduce((sum, book) => sum + book.popularity, 0);
+    return {
+        name: authors[authorId],
+        books: authorBooks,
+        totalPages: authorBooks.reduce((sum, book) => sum + book.pages, 0),
+        averagePopularity: authorBooks.length ? Math.round(totalPopularity / authorBooks.length) : 0,
+        genres: [...genreCounts]
+            .map(([id, count]) => ({ id, count }))
+            .sort((a, b) => b.count - a.count),
+    };
+};
@@ -0,0 +1,126 @@
+/**
+ * Turns a text input into a combobox with a dropdown of suggestions for what has been typed,
+ * navigable with the arrow keys. Enter picks the highlighted suggestion, and Escape closes
+ * the dropdown.
+ *
+ * @param {HTMLInputElement} input - The text input.
+ * @param {HTMLElement} list - The element to render suggestions into, shown below the input.
+ * @param {function(string): Object[]} getSuggestions - Returns suggestions for the input's
+ *     text, each with a label and optionally a hint shown next to it.
+ * @param {function(Object): undefined} onSelect - Called with the suggestion that was picked.
+ * @returns {{update: function(): undefined, close: function(): undefined}} The autocomplete.
+ */
+export const createAutocomplete = (input, list, getSuggestions, onSelect) => {
+    let suggestions = [];
+    let activeIndex = -1;
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', list.id);
+    input.setAttribute('aria-expanded', 'false');
+    list.setAttribute('role', 'listbox');
+
+    /**
+     * Highlights a suggestion, so Enter picks it.
+     *
+     * @param {number} index - The index of the suggestion, or -1 for none.
+     * @returns {undefined}
+     */
+    const setActive = (index) => {
+        activeIndex = index;
+        [...list.children].forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', String(optionIndex === index));
+        });
+        if (index < 0) {
+            input.removeAttribute('aria-activedescendant');
+        } else {
+            input.setAttribute('aria-activedescendant', list.children[index].id);
+            list.children[index].scrollIntoView({ block: 'nearest' });
+        }
+    };
+
+    /**
+     * Hides the dropdown.
+     * @returns {undefined}
+     */
+    const close = () => {
+        suggestions = [];
+        list.replaceChildren();
+        list.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        setActive(-1);
+    };
+
+    /**
+     * Picks a suggestion and closes the dropdown.
+     *
+     * @param {Object} suggestion - The suggestion.
+     * @returns {undefined}
+     */
+    const select = (suggestion) => {
+        close();
+        onSelect(suggestion);
+    };
+
+    /**
+     * Shows the suggestions for the input's current text, or hides the dropdown if there
+     * are none.
+     * @returns {undefined}
+     */
+    const update = () => {
+        suggestions = input.value.trim() === '' ? [] : getSuggestions(input.value);
+        if (suggestions.length < 1) {
+            close();
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        suggestions.forEach((suggestion, index) => {
+            const option = document.createElement('li');
+            option.className = 'overlay__suggestion';
+            option.id = `${list.id}-${index}`;
+            option.setAttribute('role', 'option');
+            option.innerText = suggestion.label;
+            if (suggestion.hint) {
+                const hint = document.createElement('span');
+                hint.className = 'overlay__suggestion-hint';
+                hint.innerText = suggestion.hint;
+                option.appendChild(hint);
+            }
+            // Keep focus in the input, which would otherwise blur and close the dropdown
+            option.addEventListener('mousedown', (event) => event.preventDefault());
+            option.addEventListener('click', () => select(suggestion));
+            fragment.appendChild(option);
+        });
+
+        list.replaceChildren(fragment);
+        list.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        setActive(-1);
+    };
+
+    input.addEventListener('keydown', (event) => {
+        if (suggestions.length < 1) return;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            // Wrap around from either end, passing through "nothing highlighted"
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            const count = suggestions.length + 1;
+            setActive((activeIndex + 1 + step + count) % count - 1);
+        } else if (event.key === 'Enter' && activeIndex >= 0) {
+            // Pick the suggestion instead of submitting the form
+            event.preventDefault();
+            select(suggestions[activeIndex]);
+        } else if (event.key === 'Escape') {
+            // Only close the dropdown, not the overlay it is in
+            event.preventDefault();
+            event.stopPropagation();
+            close();
+        }
+    });
+    input.addEventListener('blur', close);
+
+    close();
+    return { update, close };
+};
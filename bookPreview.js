@@ -5,6 +5,11 @@
  * @attr {string} author - The author of the book.
  * @attr {string} image - The URL of the book's cover image.
  * @attr {string} id - The ID of the book.
+ * @attr {string} shelf - The name of the reading list the book is on, shown as a badge.
+ * @attr {boolean} favorite - Whether the book is a favorite, shown as a filled star.
+ *
+ * @fires favorite-toggle - When the star is clicked. The click does not reach listeners on
+ *     the element itself, so it doesn't also open the book.
  */
 export class BookPreview extends HTMLElement {
     /**
@@ -12,7 +17,7 @@ export class BookPreview extends HTMLElement {
      * @returns {string[]} The list of attributes that trigger an update of the component when changed.
      */
     static get observedAttributes() {
-        return ['title', 'author', 'image', 'id'];
+        return ['title', 'author', 'image', 'id', 'shelf', 'favorite'];
     }
 
     /**
@@ -20,14 +25,18 @@ export class BookPreview extends HTMLElement {
      */
     constructor() {
         super();
-        // Attach a shadow DOM for encapsulation
-        this.attachShadow({ mode: 'open' });
+        // Attach a shadow DOM for encapsulation, passing focus on to the button inside it
+        this.attachShadow({ mode: 'open', delegatesFocus: true });
         
         // Component template
         this.shadowRoot.innerHTML = `
             <style>
                 /* preview */
 
+                .preview__container {
+                position: relative;
+                }
+
                 .preview {
                 border-width: 0;
                 width: 100%;
@@ -56,6 +65,11 @@ export class BookPreview extends HTMLElement {
                 background: rgba(var(--color-blue), 0.05);
                 }
 
+                .preview:focus-visible {
+                outline: 2px solid rgba(var(--color-blue), 1);
+                outline-offset: 2px;
+                }
+
                 .preview__image {
                 width: 48px;
                 height: 70px;
@@ -67,7 +81,7 @@ export class BookPreview extends HTMLElement {
                 }
 
                 .preview__info {
-                padding: 1rem;
+                padding: 1rem 2rem 1rem 1rem;
                 }
 
                 .preview__title {
@@ -84,15 +98,62 @@ export class BookPreview extends HTMLElement {
                 color: rgba(var(--color-dark), 0.4);
                 }
 
+                .preview__shelf {
+                display: inline-block;
+                margin-top: 0.5rem;
+                padding: 0.125rem 0.5rem;
+                border-radius: 1rem;
+                font-size: 0.75rem;
+                background: rgba(var(--color-blue), 0.1);
+                color: rgba(var(--color-blue), 1);
+                }
+
+                .preview__shelf:empty {
+                display: none;
+                }
+
+                .preview__favorite {
+                position: absolute;
+                top: 0.25rem;
+                right: 0.25rem;
+                width: 2rem;
+                height: 2rem;
+                border-width: 0;
+                border-radius: 50%;
+                background: none;
+                cursor: pointer;
+                font-size: 1.25rem;
+                line-height: 1;
+                color: rgba(var(--color-dark), 0.3);
+                }
+
+                .preview__favorite:hover {
+                background: rgba(var(--color-blue), 0.1);
+                }
+
+                .preview__favorite[aria-pressed="true"] {
+                color: rgba(var(--color-blue), 1);
+                }
+
             </style>
-            <button class="preview">
-                <img class="preview__image" src="" alt="Book Cover"/>
-                <div class="preview__info">
-                    <h3 class="preview__title"></h3>
-                    <div class="preview__author"></div>
-                </div>
-            </button>
+            <div class="preview__container">
+                <button class="preview">
+                    <img class="preview__image" src="" alt=""/>
+                    <div class="preview__info">
+                        <h3 class="preview__title"></h3>
+                        <div class="preview__author"></div>
+                        <div class="preview__shelf"></div>
+                    </div>
+                </button>
+                <button class="preview__favorite" aria-pressed="false">☆</button>
+            </div>
         `;
+
+        this.shadowRoot.querySelector('.preview__favorite').addEventListener('click', (event) => {
+            // Keep the click from reaching the element's own listeners, which open the book
+            event.stopPropagation();
+            this.dispatchEvent(new CustomEvent('favorite-toggle', { bubbles: true }));
+        });
     }
 
     /**
@@ -119,10 +180,23 @@ export class BookPreview extends HTMLElement {
         const title = this.getAttribute('title');
         const author = this.getAttribute('author');
         const image = this.getAttribute('image');
+        const shelf = this.getAttribute('shelf');
+        const favorite = this.hasAttribute('favorite');
         
         this.shadowRoot.querySelector('.preview__title').textContent = title;
         this.shadowRoot.querySelector('.preview__author').textContent = author;
         this.shadowRoot.querySelector('.preview__image').src = image;
+        this.shadowRoot.querySelector('.preview__image').alt = `Cover of ${title} by ${author}`;
+        this.shadowRoot.querySelector('.preview__shelf').textContent = shelf || '';
+        this.shadowRoot.querySelector('.preview__favorite').textContent = favorite ? '★' : '☆';
+        this.shadowRoot.querySelector('.preview__favorite').setAttribute('aria-pressed', String(favorite));
+        this.shadowRoot.querySelector('.preview__favorite').setAttribute('aria-label', `Favorite ${title}`);
+        // Name the button after the book alone, rather than the cover's alt text followed by
+        // the title and author again
+        this.shadowRoot.querySelector('.preview').setAttribute(
+            'aria-label',
+            [`${title} by ${author}`, shelf && `on ${shelf}`].filter(Boolean).join(', '),
+        );
     }
 }
 
@@ -0,0 +1,135 @@
+import { authors, genres } from './data.js';
+import { getPublishedYear } from './filters.js';
+
+/**
+ * How many values of a facet are shown, most common first. Selected values are always shown.
+ */
+const MAX_FACET_VALUES = 10;
+
+/**
+ * Page count ranges for the length facet. Bounds are inclusive; empty means unbounded.
+ */
+const LENGTH_BUCKETS = [
+    { label: 'Short (under 200 pages)', range: { pagesMin: '', pagesMax: '199' } },
+    { label: 'Medium (200–399 pages)', range: { pagesMin: '200', pagesMax: '399' } },
+    { label: 'Long (400–599 pages)', range: { pagesMin: '400', pagesMax: '599' } },
+    { label: 'Very long (600+ pages)', range: { pagesMin: '600', pagesMax: '' } },
+];
+
+/**
+ * Returns the publication year range covering a decade.
+ *
+ * @param {string} decade - The first year of the decade, e.g. '1990'.
+ * @returns {{yearFrom: string, yearTo: string}} The range as search filter values.
+ */
+const getDecadeRange = (decade) => ({ yearFrom: decade, yearTo: String(Number(decade) + 9) });
+
+/**
+ * Checks whether the filters select exactly the given range.
+ *
+ * @param {Object} filters - The search filters.
+ * @param {Object} range - Filter values, e.g. { pagesMin: '200', pagesMax: '399' }.
+ * @returns {boolean} Whether every value of the range is set in the filters.
+ */
+const isRangeActive = (filters, range) => Object.entries(range).every(([key, value]) => filters[key] === value);
+
+/**
+ * Selects a range in the filters, or clears it if it is already selected.
+ *
+ * @param {Object} filters - The search filters.
+ * @param {Object} range - Filter values, e.g. { pagesMin: '200', pagesMax: '399' }.
+ * @returns {Object} The new filters.
+ */
+const toggleRange = (filters, range) => (isRangeActive(filters, range)
+    ? { ...filters, ...Object.fromEntries(Object.keys(range).map(key => [key, ''])) }
+    : { ...filters, ...range });
+
+/**
+ * The facets of the book list. Each facet describes how it maps onto the search filters:
+ * - clear: the filters to count its values against, usually without this facet's selection
+ * - valuesOf: the facet values a book has
+ * - label: the text shown for a value
+ * - isActive: whether a value is selected in the filters
+ * - toggle: the filters with a value selected, or deselected if it already is
+ * - compare: optionally, how to order values instead of most common first
+ */
+const FACETS = [
+    {
+        name: 'Author',
+        clear: (filters) => ({ ...filters, author: 'any' }),
+        valuesOf: (book) => [book.author],
+        label: (author) => authors[author],
+        isActive: (filters, author) => filters.author === author,
+        toggle: (filters, author) => ({ ...filters, author: filters.author === author ? 'any' : author }),
+    },
+    {
+        name: 'Genre',
+        // When books must have every selected genre, selecting another one narrows the current
+        // results, so each genre is counted among them
+        clear: (filters) => (filters.genreMode === 'all' ? filters : { ...filters, genres: [] }),
+        valuesOf: (book) => book.genres,
+        label: (genre) => genres[genre],
+        isActive: (filters, genre) => filters.genres.includes(genre),
+        toggle: (filters, genre) => ({
+            ...filters,
+            genres: filters.genres.includes(genre)
+                ? filters.genres.filter(selected => selected !== genre)
+                : [...filters.genres, genre],
+        }),
+    },
+    {
+        name: 'Decade',
+        clear: (filters) => ({ ...filters, yearFrom: '', yearTo: '' }),
+        valuesOf: (book) => [String(Math.floor(getPublishedYear(book) / 10) * 10)],
+        label: (decade) => `${decade}s`,
+        isActive: (filters, decade) => isRangeActive(filters, getDecadeRange(decade)),
+        toggle: (filters, decade) => toggleRange(filters, getDecadeRange(decade)),
+        compare: (a, b) => Number(b) - Number(a),
+    },
+    {
+        name: 'Length',
+        clear: (filters) => ({ ...filters, pagesMin: '', pagesMax: '' }),
+        valuesOf: (book) => [String(LENGTH_BUCKETS.findIndex(({ range }) => (
+            (!range.pagesMin || book.pages >= Number(range.pagesMin))
+            && (!range.pagesMax || book.pages <= Number(range.pagesMax))
+        )))],
+        label: (bucket) => LENGTH_BUCKETS[bucket].label,
+        isActive: (filters, bucket) => isRangeActive(filters, LENGTH_BUCKETS[bucket].range),
+        toggle: (filters, bucket) => toggleRange(filters, LENGTH_BUCKETS[bucket].range),
+        compare: (a, b) => Number(a) - Number(b),
+    },
+];
+
+/**
+ * Computes the values of each facet with the number of books each would match.
+ *
+ * Each facet is counted against the books matching every other filter, so a count is the
+ * number of results selecting that value would give (or, for genres, add).
+ *
+ * @param {Object} filters - The current search filters.
+ * @param {function(Object): Object[]} getResults - Returns the books matching some filters.
+ * @returns {Object[]} The facets, each with a name and its values. Each value has a label,
+ *     a count, whether it is active, and the filters that toggling it gives.
+ */
+export const computeFacets = (filters, getResults) => FACETS.map(facet => {
+    const counts = new Map();
+    for (const book of getResults(facet.clear(filters))) {
+        facet.valuesOf(book).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    }
+
+    const entries = [...counts].sort(facet.compare
+        ? ([a], [b]) => facet.compare(a, b)
+        : ([a, countA], [b, countB]) => countB - countA || facet.label(a).localeCompare(facet.label(b)));
+
+    const values = entries.map(([value, count]) => ({
+        label: facet.label(value),
+        count,
+        active: facet.isActive(filters, value),
+        filters: facet.toggle(filters, value),
+    }));
+
+    return {
+        name: facet.name,
+        values: values.filter((value, index) => value.active || index < MAX_FACET_VALUES),
+    };
+});
@@ -0,0 +1,37 @@
+import { readStorage, writeStorage } from './storage.js';
+
+const FAVORITES_STORAGE_KEY = 'favorites';
+
+let favoriteIds = new Set(readStorage(FAVORITES_STORAGE_KEY, []));
+
+/**
+ * Checks whether a book has been marked as a favorite.
+ *
+ * @param {string} bookId - The ID of the book.
+ * @returns {boolean} Whether the book is a favorite.
+ */
+export const isFavorite = (bookId) => favoriteIds.has(bookId);
+
+/**
+ * Returns the IDs of every favorite book.
+ *
+ * @returns {string[]} The book IDs, in the order they were marked.
+ */
+export const getFavoriteIds = () => [...favoriteIds];
+
+/**
+ * Marks a book as a favorite, or unmarks it if it already is one, and saves the change.
+ *
+ * @param {string} bookId - The ID of the book.
+ * @returns {boolean} Whether the book is now a favorite.
+ */
+export const toggleFavorite = (bookId) => {
+    favoriteIds = new Set(favoriteIds);
+    if (favoriteIds.has(bookId)) {
+        favoriteIds.delete(bookId);
+    } else {
+        favoriteIds.add(bookId);
+    }
+    writeStorage(FAVORITES_STORAGE_KEY, [...favoriteIds]);
+    return favoriteIds.has(bookId);
+};
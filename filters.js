@@ -0,0 +1,99 @@
+import { getShelf } from './shelves.js';
+import { isFavorite } from './favorites.js';
+
+/**
+ * The search filters used when nothing has been chosen in the search form: every book
+ * matches them.
+ */
+export const DEFAULT_FILTERS = {
+    title: '',
+    genres: [],
+    genreMode: 'any',
+    excludeGenres: [],
+    author: 'any',
+    yearFrom: '',
+    yearTo: '',
+    pagesMin: '',
+    pagesMax: '',
+    shelf: 'any',
+    favorites: 'any',
+    sort: 'relevance',
+};
+
+/**
+ * Returns the year a book was published in.
+ *
+ * @param {Object} book - The book.
+ * @returns {number} The publication year.
+ */
+export const getPublishedYear = (book) => new Date(book.published).getFullYear();
+
+/**
+ * Checks whether a number lies within an inclusive range given as form values.
+ *
+ * @param {number} value - The number to check.
+ * @param {string} [min] - The lower bound. Empty or missing means unbounded.
+ * @param {string} [max] - The upper bound. Empty or missing means unbounded.
+ * @returns {boolean} Whether the number is within the range.
+ */
+const isInRange = (value, min, max) => (
+    (!min || value >= Number(min)) && (!max || value <= Number(max))
+);
+
+/**
+ * Checks whether a book's genres satisfy the chosen and excluded genres of a search.
+ *
+ * @param {Object} book - The book to check.
+ * @param {Object} filters - The search filters.
+ * @param {string[]} filters.genres - The genre IDs to match. An empty list matches any genre.
+ * @param {string} filters.genreMode - 'all' if the book must have every chosen genre,
+ *     'any' if one of them is enough.
+ * @param {string[]} filters.excludeGenres - Genre IDs the book must not have.
+ * @returns {boolean} Whether the book matches.
+ */
+const matchesGenres = (book, { genres, genreMode, excludeGenres }) => {
+    const hasGenre = (genre) => book.genres.includes(genre);
+
+    if (excludeGenres.some(hasGenre)) return false;
+    if (genres.length === 0) return true;
+    return genreMode === 'all' ? genres.every(hasGenre) : genres.some(hasGenre);
+};
+
+/**
+ * Checks whether a book matches the genre, author, year, page, shelf and favorite filters of a search.
+ *
+ * @param {Object} book - The book to check.
+ * @param {Object} filters - The search filters.
+ * @param {string} filters.author - The author ID to match, or 'any'.
+ * @param {string} [filters.yearFrom] - The earliest publication year, or empty for any.
+ * @param {string} [filters.yearTo] - The latest publication year, or empty for any.
+ * @param {string} [filters.pagesMin] - The minimum page count, or empty for any.
+ * @param {string} [filters.pagesMax] - The maximum page count, or empty for any.
+ * @param {string} filters.shelf - The reading list shelf ID to match, or 'any'.
+ * @param {string} filters.favorites - 'only' to match favorite books only, or 'any'.
+ * @returns {boolean} Whether the book matches every filter.
+ */
+export const matchesFilters = (book, filters) => {
+    // Check if genres match the chosen and excluded genres
+    const genreMatch = matchesGenres(book, filters);
+    // Check if author matches filter or if filter is 'any'
+    const authorMatch = filters.author === 'any' || book.author === filters.author;
+    // Check if publication year and page count fall within their ranges
+    const yearMatch = isInRange(getPublishedYear(book), filters.yearFrom, filters.yearTo);
+    const pagesMatch = isInRange(book.pages, filters.pagesMin, filters.pagesMax);
+    // Check if book is on the chosen reading list shelf or if filter is 'any'
+    const shelfMatch = filters.shelf === 'any' || getShelf(book.id) === filters.shelf;
+    // Check if book is a favorite when only favorites are wanted
+    const favoriteMatch = filters.favorites !== 'only' || isFavorite(book.id);
+    // Return true if all filters match
+    return authorMatch && genreMatch && yearMatch && pagesMatch && shelfMatch && favoriteMatch;
+};
+
+/**
+ * Filters books by the search filters, preserving their order.
+ *
+ * @param {Object[]} books - The books to filter.
+ * @param {Object} filters - The search filters, see matchesFilters.
+ * @returns {Object[]} The books matching the filters.
+ */
+export const filterBooks = (books, filters) => books.filter(book => matchesFilters(book, filters));
@@ -0,0 +1,64 @@
+import { genres } from './data.js';
+
+/**
+ * Parent categories for related genres, by genre name. Genres not listed here are shown
+ * under OTHER_GROUP.
+ */
+const GROUPS_BY_NAME = {
+    'Fiction': ['Fiction', 'Literature', 'Novels', 'Literary-fiction', 'Contemporary', 'Classics', 'Short-stories', 'Historical-fiction', 'Magical-realism', 'Romance', 'Adventure', 'Adult'],
+    'Fantasy, Sci-fi & Horror': ['Fantasy', 'Epic-fantasy', 'High-fantasy', 'Magic', 'Mythology', 'Science-fiction', 'Science-fiction-fantasy', 'Dystopia', 'Paranormal', 'Vampires', 'Horror', 'Gothic'],
+    'Mystery & Thriller': ['Mystery', 'Thriller'],
+    'Children & Young Adult': ['Childrens', 'Picture-books', 'Middle-grade', 'Young-adult', 'School'],
+    'History & Biography': ['History', 'Historical', 'Biography', 'Biography-memoir', 'Memoir'],
+    'Science & Society': ['Science', 'Physics', 'Nature', 'Animals', 'Psychology', 'Sociology', 'Economics', 'Business', 'Politics'],
+    'Philosophy & Religion': ['Philosophy', 'Religion', 'Christian', 'Self-help'],
+    'General Non-fiction': ['Non-fiction', 'Essays', 'Humor', 'Travel', 'Reference'],
+    'Drama & Poetry': ['Plays', 'Drama', 'Theatre', 'Poetry'],
+    'Regions & Eras': ['American', 'British-literature', 'France', 'Russia', 'Russian-literature', 'Spanish-literature', 'Latin-american', '19th-century', '20th-century'],
+    'Formats': ['Audiobook'],
+};
+
+const OTHER_GROUP = 'Other';
+
+/**
+ * Groups every genre under a parent category.
+ *
+ * @returns {Object[]} The groups in display order, each with a name and the IDs of its
+ *     genres. Genres without a category are collected in a final 'Other' group.
+ */
+export const getGenreGroups = () => {
+    const idsByName = new Map(Object.entries(genres).map(([id, name]) => [name, id]));
+    const grouped = new Set();
+
+    const groups = Object.entries(GROUPS_BY_NAME).map(([name, genreNames]) => {
+        const ids = genreNames.map(genreName => idsByName.get(genreName)).filter(Boolean);
+        ids.forEach(id => grouped.add(id));
+        return { name, genres: ids };
+    });
+
+    const ungrouped = Object.keys(genres).filter(id => !grouped.has(id));
+    if (ungrouped.length > 0) groups.push({ name: OTHER_GROUP, genres: ungrouped });
+    return groups;
+};
+
+/**
+ * Counts how many books have each genre, and how many have any genre of each group.
+ *
+ * @param {Object[]} books - The books to count.
+ * @param {Object[]} groups - The genre groups, see getGenreGroups.
+ * @returns {{genres: Map<string, number>, groups: Map<string, number>}} Book counts by genre
+ *     ID and by group name.
+ */
+export const countGenres = (books, groups) => {
+    const genreCounts = new Map();
+    const groupCounts = new Map(groups.map(group => [group.name, 0]));
+
+    for (const book of books) {
+        book.genres.forEach(genre => genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1));
+        groups
+            .filter(group => group.genres.some(genre => book.genres.includes(genre)))
+            .forEach(group => groupCounts.set(group.name, groupCounts.get(group.name) + 1));
+    }
+
+    return { genres: genreCounts, groups: groupCounts };
+};
@@ -0,0 +1,85 @@
+/**
+ * How many cards the arrow keys move focus by in each direction, given the number of grid
+ * columns. Up and down move a whole row.
+ */
+const GRID_STEPS = {
+    ArrowLeft: () => -1,
+    ArrowRight: () => 1,
+    ArrowUp: (columns) => -columns,
+    ArrowDown: (columns) => columns,
+};
+
+/**
+ * Checks whether a key press is meant for a form field rather than as a shortcut, e.g. "/"
+ * typed into the search field.
+ *
+ * @param {KeyboardEvent} event - The key press.
+ * @returns {boolean} Whether the key was pressed while typing in a field.
+ */
+export const isTypingEvent = (event) => {
+    const [target] = event.composedPath();
+    return target instanceof HTMLElement
+        && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+};
+
+/**
+ * Lets the cards of a grid be moved between with the arrow keys, Home and End, while Tab
+ * moves past the grid in a single step.
+ *
+ * Only one card at a time is in the tab order (a roving tab index): the one focused last, or
+ * the first card until one has been. Cards are expected to delegate focus to the button
+ * inside their shadow root, which leaves the whole shadow root out of the tab order while
+ * the card's tab index is -1. Cards added or removed later, e.g. by paging or
+ * virtualization, are kept in step.
+ *
+ * @param {HTMLElement} container - The grid element holding the cards.
+ * @param {string} selector - A selector matching the cards.
+ * @returns {undefined}
+ */
+export const createRovingGrid = (container, selector) => {
+    let current = null;
+
+    /**
+     * Puts a single card in the tab order: the current card if it is still in the grid,
+     * otherwise the first card.
+     * @returns {undefined}
+     */
+    const updateTabIndexes = () => {
+        const cards = [...container.querySelectorAll(selector)];
+        if (!cards.includes(current)) current = cards[0] || null;
+        for (const card of cards) card.tabIndex = card === current ? 0 : -1;
+    };
+
+    container.addEventListener('focusin', (event) => {
+        const card = event.target.closest(selector);
+        if (!card || card === current) return;
+        current = card;
+        updateTabIndexes();
+    });
+
+    container.addEventListener('keydown', (event) => {
+        const card = event.target.closest(selector);
+        if (!card || event.altKey || event.ctrlKey || event.metaKey) return;
+
+        const cards = [...container.querySelectorAll(selector)];
+        const index = cards.indexOf(card);
+        const columns = getComputedStyle(container).gridTemplateColumns.split(' ').filter(Boolean).length || 1;
+        let next = null;
+        if (event.key in GRID_STEPS) {
+            next = cards[index + GRID_STEPS[event.key](columns)];
+        } else if (event.key === 'Home') {
+            next = cards[0];
+        } else if (event.key === 'End') {
+            next = cards[cards.length - 1];
+        }
+        if (!next) return;
+
+        // Move focus instead of scrolling the page
+        event.preventDefault();
+        next.focus();
+        next.scrollIntoView({ block: 'nearest' });
+    });
+
+    new MutationObserver(updateTabIndexes).observe(container, { childList: true });
+    updateTabIndexes();
+};
@@ -0,0 +1,189 @@
+import { authors, genres } from './data.js';
+import { getPublishedYear } from './filters.js';
+import { normalize, tokenize } from './searchIndex.js';
+
+/**
+ * Splits a query into tokens: an optional leading minus, an optional `field:` prefix, and a
+ * value that is either a single word or a double-quoted phrase. The value may be empty, so
+ * a `field:` with nothing after it is still read as a field.
+ */
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?("[^"]*"?|\S*)/gi;
+
+/**
+ * Number comparisons accepted by the numeric fields, e.g. `>2000`, `<=300` or `1990..2000`.
+ */
+const COMPARISON_PATTERN = /^(<=|>=|<|>|=)?(\d+)$/;
+const RANGE_PATTERN = /^(\d+)\.\.(\d+)$/;
+
+const COMPARISONS = {
+    '<': (value, target) => value < target,
+    '<=': (value, target) => value <= target,
+    '>': (value, target) => value > target,
+    '>=': (value, target) => value >= target,
+    '=': (value, target) => value === target,
+};
+
+/**
+ * Checks whether text contains a phrase as whole words, ignoring case, accents and
+ * punctuation.
+ *
+ * @param {string} text - The text to look in.
+ * @param {string} phrase - The words to look for, in order.
+ * @returns {boolean} Whether the phrase appears in the text.
+ */
+const containsPhrase = (text, phrase) => {
+    const phraseTerms = tokenize(phrase);
+    // Phrases made up only of stop words (e.g. "the") fall back to a plain substring match
+    if (phraseTerms.length === 0) return normalize(text).includes(normalize(phrase));
+    return ` ${tokenize(text).join(' ')} `.includes(` ${phraseTerms.join(' ')} `);
+};
+
+/**
+ * Returns the text of a book that phrases and excluded words are looked for in: its title,
+ * author, description and genre names.
+ *
+ * @param {Object} book - The book.
+ * @returns {string} The book's searchable text.
+ */
+const getBookText = (book) => [
+    book.title,
+    authors[book.author] || '',
+    book.description || '',
+    ...book.genres.map(genre => genres[genre]),
+].join(' ');
+
+/**
+ * Finds the IDs in a lookup whose name matches a value, preferring exact matches over names
+ * that merely contain it, e.g. "science" picks Science over Science-fiction.
+ *
+ * @param {Object} lookup - A map of IDs to names, such as authors or genres.
+ * @param {string} value - The name or part of a name to look for.
+ * @returns {string[]} The matching IDs.
+ */
+const findIds = (lookup, value) => {
+    const target = normalize(value);
+    const entries = Object.entries(lookup);
+    const exact = entries.filter(([, name]) => normalize(name) === target);
+    const matching = exact.length > 0 ? exact : entries.filter(([, name]) => normalize(name).includes(target));
+    return matching.map(([id]) => id);
+};
+
+/**
+ * Builds a test for a number such as a book's year or page count from a comparison like
+ * `>2000`, `300` or `1990..2000`.
+ *
+ * @param {string} value - The comparison.
+ * @returns {?function(number): boolean} The test, or null if the comparison is malformed.
+ */
+const parseComparison = (value) => {
+    const range = value.match(RANGE_PATTERN);
+    if (range) return (number) => number >= Number(range[1]) && number <= Number(range[2]);
+
+    const comparison = value.match(COMPARISON_PATTERN);
+    if (!comparison) return null;
+    const compare = COMPARISONS[comparison[1] || '='];
+    return (number) => compare(number, Number(comparison[2]));
+};
+
+/**
+ * The fields that can be searched with `field:value`. Each turns a value into a test for
+ * books, or into an error message if the value can't be used.
+ */
+const FIELDS = {
+    author: (value) => {
+        const ids = findIds(authors, value);
+        if (ids.length === 0) return `No author matches "${value}".`;
+        return (book) => ids.includes(book.author);
+    },
+    genre: (value) => {
+        const ids = findIds(genres, value);
+        if (ids.length === 0) return `No genre matches "${value}".`;
+        return (book) => book.genres.some(genre => ids.includes(genre));
+    },
+    year: (value) => {
+        const test = parseComparison(value);
+        if (!test) return `"year:" needs a year such as year:>2000 or year:1990..2000, not "${value}".`;
+        return (book) => test(getPublishedYear(book));
+    },
+    pages: (value) => {
+        const test = parseComparison(value);
+        if (!test) return `"pages:" needs a page count such as pages:<300 or pages:100..200, not "${value}".`;
+        return (book) => test(book.pages);
+    },
+};
+
+/**
+ * Parses the search text, which besides plain words may contain:
+ *
+ * - `author:bryson`, `genre:science`: books by a matching author or in a matching genre.
+ * - `year:>2000`, `pages:<300`, `pages:100..200`: books whose publication year or page count
+ *   compares as given. `<`, `<=`, `>`, `>=` and ranges are supported; a bare number must
+ *   match exactly.
+ * - `"exact phrase"`: books containing the words in that order.
+ * - `-word`, `-"phrase"`, `-genre:audiobook`: books not matching the term.
+ *
+ * Values containing spaces can be quoted, e.g. `author:"bill bryson"`.
+ *
+ * @param {string} query - The search text.
+ * @returns {{text: string, tests: Array<function(Object): boolean>, errors: string[]}} The
+ *     plain words and phrases to rank books by, the tests a book must pass, and a message for
+ *     each part of the query that couldn't be understood.
+ */
+export const parseQuery = (query) => {
+    const words = [];
+    const tests = [];
+    const errors = [];
+
+    for (const [token, negated, matchedField, rawValue] of query.matchAll(TOKEN_PATTERN)) {
+        // The pattern also matches the empty space between tokens
+        if (token === '') continue;
+
+        let field = matchedField;
+        // A word ending in a colon, e.g. "Bryson:" in a title, is plain text
+        if (field && rawValue === '' && !FIELDS[field.toLowerCase()]) field = undefined;
+        // So is a lone minus, or a minus in front of such a word
+        if (!field && (rawValue === '' || matchedField)) {
+            words.push(token.slice(negated.length));
+            continue;
+        }
+
+        const quoted = rawValue.startsWith('"');
+        if (quoted && (rawValue.length < 2 || !rawValue.endsWith('"'))) {
+            errors.push(`${token} is missing its closing quote.`);
+            continue;
+        }
+        const value = quoted ? rawValue.slice(1, -1) : rawValue;
+
+        let test = null;
+        if (field) {
+            const createTest = FIELDS[field.toLowerCase()];
+            if (!createTest) {
+                errors.push(`Unknown search field "${field}:". Use author:, genre:, year: or pages:.`);
+                continue;
+            }
+            if (value.trim() === '') {
+                errors.push(`"${field}:" needs a value after the colon.`);
+                continue;
+            }
+            test = createTest(value);
+            if (typeof test === 'string') {
+                errors.push(test);
+                continue;
+            }
+        } else if (negated || quoted) {
+            test = (book) => containsPhrase(getBookText(book), value);
+        }
+
+        if (test === null) {
+            words.push(value);
+        } else if (negated) {
+            tests.push((book) => !test(book));
+        } else {
+            tests.push(test);
+            // Phrases also rank the books containing them
+            if (quoted) words.push(value);
+        }
+    }
+
+    return { text: words.join(' '), tests, errors };
+};
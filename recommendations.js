@@ -0,0 +1,182 @@
+import { books } from './data.js';
+import { normalize, tokenize } from './searchIndex.js';
+
+/**
+ * How much each signal contributes to the similarity of two books. Genre overlap and
+ * description text are scored from 0 to 1; sharing an author adds a fixed boost.
+ */
+const GENRE_WEIGHT = 0.5;
+const DESCRIPTION_WEIGHT = 0.5;
+const SAME_AUTHOR_BOOST = 0.2;
+
+/**
+ * How much more a favorite counts towards the reader's preferences than a book they opened.
+ */
+const VIEW_WEIGHT = 1;
+const FAVORITE_WEIGHT = 3;
+
+/**
+ * How much a book's genres and author count when matching it to the reader's preferences.
+ * A little popularity breaks ties between books that match equally well.
+ */
+const PROFILE_GENRE_WEIGHT = 1;
+const PROFILE_AUTHOR_WEIGHT = 0.5;
+const POPULARITY_WEIGHT = 0.05;
+
+// Built on first use, as most visits never open a book
+let vectors = null;
+const booksById = new Map(books.map(book => [book.id, book]));
+
+/**
+ * Builds a TF-IDF vector for each book's description, scaled to unit length so the dot
+ * product of two vectors is their cosine similarity.
+ *
+ * @returns {Map<string, Map<string, number>>} A map of book IDs to term weights.
+ */
+const buildVectors = () => {
+    const termCounts = books.map(book => {
+        const counts = new Map();
+        tokenize(book.description || '').forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return counts;
+    });
+
+    const documentFrequency = new Map();
+    termCounts.forEach(counts => counts.forEach((_, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+
+    return new Map(books.map((book, index) => {
+        const vector = new Map();
+        for (const [term, count] of termCounts[index]) {
+            vector.set(term, (1 + Math.log(count)) * Math.log(books.length / documentFrequency.get(term)));
+        }
+        const length = Math.hypot(...vector.values()) || 1;
+        vector.forEach((weight, term) => vector.set(term, weight / length));
+        return [book.id, vector];
+    }));
+};
+
+/**
+ * Calculates the cosine similarity of two unit-length vectors.
+ *
+ * @param {Map<string, number>} a - The first vector.
+ * @param {Map<string, number>} b - The second vector.
+ * @returns {number} The similarity, from 0 for no shared terms to 1 for identical text.
+ */
+const cosineSimilarity = (a, b) => {
+    const [smaller, larger] = a.size < b.size ? [a, b] : [b, a];
+    let product = 0;
+    smaller.forEach((weight, term) => {
+        if (larger.has(term)) product += weight * larger.get(term);
+    });
+    return product;
+};
+
+/**
+ * Calculates the Jaccard index of two books' genres: the share of their combined genres
+ * that they have in common.
+ *
+ * @param {string[]} a - The genre IDs of the first book.
+ * @param {string[]} b - The genre IDs of the second book.
+ * @returns {number} The overlap, from 0 for no shared genres to 1 for identical genres.
+ */
+const genreOverlap = (a, b) => {
+    const union = new Set([...a, ...b]);
+    const shared = a.filter(genre => b.includes(genre)).length;
+    return union.size === 0 ? 0 : shared / union.size;
+};
+
+/**
+ * Builds a preference profile from the books a reader opened and marked as favorites:
+ * how strongly they lean towards each genre and author, as shares of all their interest.
+ *
+ * @param {string[]} viewedIds - The IDs of the books the reader opened.
+ * @param {string[]} favoriteIds - The IDs of the reader's favorite books.
+ * @returns {{genres: Map<string, number>, authors: Map<string, number>}} The weight of each
+ *     genre and author ID, or empty maps if the reader has no history.
+ */
+const buildProfile = (viewedIds, favoriteIds) => {
+    const profile = { genres: new Map(), authors: new Map() };
+    const add = (weights, id, weight) => weights.set(id, (weights.get(id) || 0) + weight);
+
+    const weightedIds = [
+        ...viewedIds.map(id => [id, VIEW_WEIGHT]),
+        ...favoriteIds.map(id => [id, FAVORITE_WEIGHT]),
+    ];
+    let total = 0;
+    for (const [id, weight] of weightedIds) {
+        const book = booksById.get(id);
+        if (!book) continue;
+        total += weight;
+        book.genres.forEach(genre => add(profile.genres, genre, weight));
+        add(profile.authors, book.author, weight);
+    }
+
+    [profile.genres, profile.authors].forEach(weights => {
+        weights.forEach((weight, id) => weights.set(id, weight / total));
+    });
+    return profile;
+};
+
+/**
+ * Recommends books matching the genres and authors of the books a reader has opened and
+ * marked as favorites, leaving out those books and other editions of them.
+ *
+ * @param {Object} history - The reader's history.
+ * @param {string[]} history.viewedIds - The IDs of the books the reader opened.
+ * @param {string[]} history.favoriteIds - The IDs of the reader's favorite books.
+ * @param {number} n - The maximum number of books to return.
+ * @returns {Object[]} The recommended books, best match first. Empty without any history.
+ */
+export const getRecommendedBooks = ({ viewedIds, favoriteIds }, n) => {
+    const profile = buildProfile(viewedIds, favoriteIds);
+    if (profile.authors.size === 0) return [];
+
+    const seenIds = new Set([...viewedIds, ...favoriteIds]);
+    const seenTitles = new Set([...seenIds]
+        .filter(id => booksById.has(id))
+        .map(id => normalize(booksById.get(id).title)));
+    const maxPopularity = Math.max(...books.map(book => book.popularity));
+
+    return books
+        .filter(book => !seenIds.has(book.id) && !seenTitles.has(normalize(book.title)))
+        .map(book => ({
+            book,
+            score: PROFILE_GENRE_WEIGHT * book.genres.reduce((sum, genre) => sum + (profile.genres.get(genre) || 0), 0)
+                + PROFILE_AUTHOR_WEIGHT * (profile.authors.get(book.author) || 0)
+                + POPULARITY_WEIGHT * (book.popularity / maxPopularity),
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, n)
+        .map(({ book }) => book);
+};
+
+/**
+ * Finds the books most similar to a book, by genre overlap, description text and author.
+ * Other editions of the same book (books with the same title) are left out.
+ *
+ * @param {string} bookId - The ID of the book to find similar books for.
+ * @param {number} n - The maximum number of books to return.
+ * @returns {Object[]} The most similar books, most similar first. Empty for unknown IDs.
+ */
+export const getSimilarBooks = (bookId, n) => {
+    const book = booksById.get(bookId);
+    if (!book) return [];
+    if (vectors === null) vectors = buildVectors();
+
+    const title = normalize(book.title);
+    const vector = vectors.get(bookId);
+
+    return books
+        .filter(other => other.id !== bookId && normalize(other.title) !== title)
+        .map(other => ({
+            other,
+            score: GENRE_WEIGHT * genreOverlap(book.genres, other.genres)
+                + DESCRIPTION_WEIGHT * cosineSimilarity(vector, vectors.get(other.id))
+                + (other.author === book.author ? SAME_AUTHOR_BOOST : 0),
+        }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, n)
+        .map(({ other }) => other);
+};
@@ -0,0 +1,51 @@
+import { readStorage, writeStorage } from './storage.js';
+
+const SAVED_SEARCHES_STORAGE_KEY = 'saved-searches';
+
+// { id, name, filters } for each saved search, in the order they were saved
+let savedSearches = readStorage(SAVED_SEARCHES_STORAGE_KEY, []);
+
+/**
+ * Returns every saved search.
+ *
+ * @returns {Object[]} The saved searches, each with an ID, a name and the search filters,
+ *     in the order they were saved.
+ */
+export const getSavedSearches = () => [...savedSearches];
+
+/**
+ * Saves search filters under a name.
+ *
+ * @param {string} name - The name to show for the search.
+ * @param {Object} filters - The search filters, with the same keys as DEFAULT_FILTERS.
+ * @returns {string} The ID of the saved search.
+ */
+export const saveSearch = (name, filters) => {
+    const id = `search-${Date.now()}`;
+    savedSearches = [...savedSearches, { id, name, filters }];
+    writeStorage(SAVED_SEARCHES_STORAGE_KEY, savedSearches);
+    return id;
+};
+
+/**
+ * Gives a saved search a new name.
+ *
+ * @param {string} id - The ID of the saved search.
+ * @param {string} name - The new name.
+ * @returns {undefined}
+ */
+export const renameSavedSearch = (id, name) => {
+    savedSearches = savedSearches.map(search => (search.id === id ? { ...search, name } : search));
+    writeStorage(SAVED_SEARCHES_STORAGE_KEY, savedSearches);
+};
+
+/**
+ * Deletes a saved search.
+ *
+ * @param {string} id - The ID of the saved search.
+ * @returns {undefined}
+ */
+export const deleteSavedSearch = (id) => {
+    savedSearches = savedSearches.filter(search => search.id !== id);
+    writeStorage(SAVED_SEARCHES_STORAGE_KEY, savedSearches);
+};
@@ -1,10 +1,111 @@
 import { books, authors, genres, BOOKS_PER_PAGE } from './data.js';
 import { BookPreview } from './bookPreview.js';
+import { createSearchIndex, normalize } from './searchIndex.js';
+import { sortBooks } from './sorting.js';
+import { DEFAULT_FILTERS, filterBooks, getPublishedYear } from './filters.js';
+import { searchToState, stateToSearch } from './urlState.js';
+import { readStorage, writeStorage } from './storage.js';
+import { addCustomTheme, applyTheme, getThemes, hexToRgb } from './themes.js';
+import { SHELVES, getShelf, setShelf } from './shelves.js';
+import { getFavoriteIds, isFavorite, toggleFavorite } from './favorites.js';
+import { getViewedIds, recordView } from './viewHistory.js';
+import { createVirtualList } from './virtualList.js';
+import { getRecommendedBooks, getSimilarBooks } from './recommendations.js';
+import { getAuthorProfile } from './authorProfile.js';
+import { countGenres, getGenreGroups } from './genreGroups.js';
+import { computeFacets } from './facets.js';
+import { createAutocomplete } from './autocomplete.js';
+import { parseQuery } from './queryParser.js';
+import { deleteSavedSearch, getSavedSearches, renameSavedSearch, saveSearch } from './savedSearches.js';
+import { clearSearchHistory, getRecentSearches, recordSearch } from './searchHistory.js';
+import { createRovingGrid, isTypingEvent } from './keyboard.js';
 
 customElements.define('book-preview', BookPreview);
 
+const searchIndex = createSearchIndex(books, authors);
+const booksById = new Map(books.map(book => [book.id, book]));
+const genreGroups = getGenreGroups();
+
+const NO_RESULTS_MESSAGE = 'No results found. Your filters might be too narrow.';
+const THEME_STORAGE_KEY = 'theme';
+const RELATED_BOOKS_COUNT = 8;
+const RECOMMENDED_BOOKS_COUNT = 4;
+const LIST_MODE_STORAGE_KEY = 'list-mode';
+const PAGE_SIZE_STORAGE_KEY = 'page-size';
+const INSTANT_SEARCH_STORAGE_KEY = 'instant-search';
+const INSTANT_SEARCH_DELAY = 250;
+const SUGGESTED_TITLES_COUNT = 5;
+const SUGGESTED_AUTHORS_COUNT = 3;
+const RECENT_SEARCHES_COUNT = 8;
+const SWIPE_DISTANCE = 50;
+
+/**
+ * The overlays, each with the button that closes it. Escape closes an overlay the same way
+ * as its button, e.g. to discard unsaved settings.
+ */
+const OVERLAY_CLOSE_BUTTONS = [
+    ['[data-list-active]', '[data-list-close]'],
+    ['[data-author-overlay]', '[data-author-close]'],
+    ['[data-genre-overlay]', '[data-genre-close]'],
+    ['[data-search-overlay]', '[data-search-cancel]'],
+    ['[data-settings-overlay]', '[data-settings-cancel]'],
+    ['[data-shortcuts-overlay]', '[data-shortcuts-close]'],
+];
+const darkSchemeQuery = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)');
+
 let page = 1;
 let matches = [...books];
+let filters = { ...DEFAULT_FILTERS };
+let activeBook = null;
+let themePreference = 'system';
+let listMode = 'button';
+let pageSize = BOOKS_PER_PAGE;
+let virtualList = null;
+let instantSearch = false;
+let autocomplete = null;
+// The filters and page count shown when the search overlay opened, for Cancel to go back to
+let searchStart = null;
+// Whether books were viewed since the recommendations were shown, see updateRecommendations
+let recommendationsOutdated = false;
+// overlay element -> element that had focus before it opened
+const overlayTriggers = new Map();
+
+/**
+ * Opens an overlay as a modal dialog, which keeps focus inside it and closes on Escape. The
+ * element that had focus, e.g. the card that was clicked, gets it back when the overlay closes.
+ *
+ * @param {string} selector - The selector of the overlay.
+ * @returns {undefined}
+ */
+const openOverlay = (selector) => {
+    const overlay = document.querySelector(selector);
+    if (overlay.open) return;
+    overlayTriggers.set(overlay, document.activeElement);
+    overlay.showModal();
+};
+
+/**
+ * Returns the overlay shown on top of the others: the one opened last that is still open.
+ * @returns {?HTMLDialogElement} The overlay, or null if none is open.
+ */
+const getTopOverlay = () => [...overlayTriggers.keys()].filter(overlay => overlay.open).pop() || null;
+
+/**
+ * Closes an overlay opened with openOverlay, returning focus to where it was before.
+ *
+ * @param {string} selector - The selector of the overlay.
+ * @param {HTMLElement} [focusTarget] - The element to focus instead, if it is still on the page.
+ * @returns {undefined}
+ */
+const closeOverlay = (selector, focusTarget) => {
+    const overlay = document.querySelector(selector);
+    // Overlays the browser closed by itself still hand focus back
+    if (!overlayTriggers.has(overlay)) return;
+    const trigger = focusTarget && focusTarget.isConnected ? focusTarget : overlayTriggers.get(overlay);
+    overlayTriggers.delete(overlay);
+    overlay.close();
+    if (trigger && trigger.isConnected) trigger.focus();
+};
 
 /**
  * Creates a book-preview element as a button with preview information.
@@ -22,14 +123,125 @@ const createBookElement = (book) => {
     bookElement.setAttribute('author', authors[book.author]);
     bookElement.setAttribute('image', book.image);
     bookElement.setAttribute('id', book.id);
+    bookElement.toggleAttribute('favorite', isFavorite(book.id));
+    updateShelfBadge(bookElement);
+
+    // Star button on the card, which doesn't open the book details
+    bookElement.addEventListener('favorite-toggle', () => {
+        const cards = bookElement.closest('[data-list-items], [data-list-recommended-items]');
+        const index = [...cards.querySelectorAll('book-preview')].indexOf(bookElement);
+        const favorite = toggleFavorite(book.id);
+        forEachBookElement(book.id, element => element.toggleAttribute('favorite', favorite));
+        // Books leave a favorites-only search as soon as they are unmarked
+        if (filters.favorites === 'only') {
+            applySearch(filters, page);
+        } else {
+            displayRecommendations();
+        }
+        // The cards may have been rendered again, taking the focused star with them
+        if (!bookElement.isConnected) restoreCardFocus(cards, book.id, index);
+    });
 
     bookElement.addEventListener('click', () => {
-        displayBookDetails(book);
+        openBook(book);
     });
 
     return bookElement;
 };
 
+/**
+ * Puts focus back among cards that were rendered again while one of them had focus, e.g.
+ * after its star took it out of a favorites-only search. The book's new card gets focus on
+ * its star if it is still there, otherwise the card that took its place, or the book list.
+ *
+ * @param {HTMLElement} cards - The element holding the cards.
+ * @param {string} bookId - The ID of the book whose card had focus.
+ * @param {number} index - The position its card had among the cards.
+ * @returns {undefined}
+ */
+const restoreCardFocus = (cards, bookId, index) => {
+    const card = cards.querySelector(`book-preview[id="${bookId}"]`);
+    if (card) {
+        card.shadowRoot.querySelector('.preview__favorite').focus();
+        return;
+    }
+
+    const remaining = [...cards.querySelectorAll('book-preview')];
+    const next = remaining[Math.min(index, remaining.length - 1)]
+        || document.querySelector('[data-list-items] book-preview');
+    if (next) {
+        next.shadowRoot.querySelector('.preview').focus();
+    } else {
+        document.querySelector('[data-list-items]').focus();
+    }
+};
+
+/**
+ * Calls a function for every book-preview element showing a book, as the same book can be
+ * both in the list and among the recommendations.
+ *
+ * @param {string} bookId - The ID of the book.
+ * @param {function(HTMLElement): undefined} callback - Called with each book-preview element.
+ * @returns {undefined}
+ */
+const forEachBookElement = (bookId, callback) => {
+    document.querySelectorAll(`book-preview[id="${bookId}"]`).forEach(callback);
+};
+
+/**
+ * Shows the reading list shelf a book is on as a badge on its book-preview element.
+ *
+ * @param {HTMLElement} bookElement - The book-preview element, with the book ID as its id.
+ * @returns {undefined}
+ */
+const updateShelfBadge = (bookElement) => {
+    const shelf = getShelf(bookElement.id);
+    if (shelf) {
+        bookElement.setAttribute('shelf', SHELVES[shelf]);
+    } else {
+        bookElement.removeAttribute('shelf');
+    }
+};
+
+/**
+ * Marks the shelf button in the book details overlay for the shelf the open book is on.
+ * @returns {undefined}
+ */
+const updateShelfButtons = () => {
+    const shelf = getShelf(activeBook.id);
+    document.querySelectorAll('[data-list-shelf]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.listShelf === shelf));
+    });
+};
+
+/**
+ * Adds a button to the book details overlay for each reading list shelf. Clicking a button
+ * puts the open book on that shelf, or takes it off if it is already there.
+ * @returns {undefined}
+ */
+const createShelfButtons = () => {
+    const fragment = document.createDocumentFragment();
+
+    for (const [id, name] of Object.entries(SHELVES)) {
+        const button = document.createElement('button');
+        button.className = 'overlay__button overlay__button_toggle';
+        button.type = 'button';
+        button.dataset.listShelf = id;
+        button.innerText = name;
+        button.addEventListener('click', () => {
+            setShelf(activeBook.id, getShelf(activeBook.id) === id ? null : id);
+            updateShelfButtons();
+            // Keep the badges on the book's cards in sync
+            forEachBookElement(activeBook.id, updateShelfBadge);
+            // Books move in or out of a search for a shelf as they are shelved
+            if (filters.shelf !== 'any') applySearch(filters, page);
+        });
+        fragment.appendChild(button);
+    }
+
+    document.querySelector('[data-list-shelves]').appendChild(fragment);
+};
+
 /**
  * Appends a list of book-preview elements to the list element.
  *
@@ -43,36 +255,956 @@ const displayBooks = (books) => {
     document.querySelector('[data-list-items]').appendChild(fragment);
 };
 
+/**
+ * Finds other books by the same author, most popular first.
+ *
+ * @param {Object} book - The book whose author to look up.
+ * @returns {Object[]} Up to RELATED_BOOKS_COUNT other books by the author.
+ */
+const getMoreByAuthor = (book) => sortBooks(
+    books.filter(other => other.author === book.author && other.id !== book.id),
+    'popularity',
+).slice(0, RELATED_BOOKS_COUNT);
+
+/**
+ * Fills a strip of small cover buttons in the book details overlay, each opening its book.
+ * The strip's section is hidden when there are no books to show.
+ *
+ * @param {string} elementSelector - The selector for the strip element.
+ * @param {Object[]} stripBooks - The books to show.
+ * @returns {undefined}
+ */
+const displayBookStrip = (elementSelector, stripBooks) => {
+    const fragment = document.createDocumentFragment();
+
+    for (const book of stripBooks) {
+        const button = document.createElement('button');
+        button.className = 'overlay__strip-item';
+        button.type = 'button';
+        button.title = book.title;
+        const image = document.createElement('img');
+        image.className = 'overlay__strip-image';
+        image.src = book.image;
+        image.alt = '';
+        const title = document.createElement('span');
+        title.className = 'overlay__strip-title';
+        title.innerText = book.title;
+        button.append(image, title);
+        button.addEventListener('click', () => openBook(book));
+        fragment.appendChild(button);
+    }
+
+    const strip = document.querySelector(elementSelector);
+    strip.replaceChildren(fragment);
+    strip.closest('.overlay__section').hidden = stripBooks.length < 1;
+};
+
+/**
+ * Creates a chip button.
+ *
+ * @param {string} label - The text to show.
+ * @param {function(): undefined} onClick - Called when the chip is clicked.
+ * @returns {HTMLButtonElement} The chip.
+ */
+const createChip = (label, onClick) => {
+    const chip = document.createElement('button');
+    chip.className = 'overlay__chip';
+    chip.type = 'button';
+    chip.innerText = label;
+    chip.addEventListener('click', onClick);
+    return chip;
+};
+
+/**
+ * Creates a chip button that searches for a genre when clicked.
+ *
+ * @param {string} genre - The genre ID.
+ * @param {string} [label] - The text to show. Defaults to the genre's name.
+ * @returns {HTMLButtonElement} The chip.
+ */
+const createGenreChip = (genre, label = genres[genre]) => createChip(label, () => searchByGenre(genre));
+
+/**
+ * Opens the genre browser with the genres of the current matches, grouped into parent
+ * categories. Counts ignore the genres chosen in the current search, so each count is the
+ * number of books that choosing that genre or category instead would show.
+ * @returns {undefined}
+ */
+const displayGenreBrowser = () => {
+    const { result } = searchBooks({ ...filters, genres: [] });
+    const counts = countGenres(result, genreGroups);
+    const fragment = document.createDocumentFragment();
+
+    for (const group of genreGroups) {
+        const groupCount = counts.groups.get(group.name);
+        if (groupCount < 1) continue;
+
+        const details = document.createElement('details');
+        details.className = 'overlay__group';
+        const summary = document.createElement('summary');
+        summary.className = 'overlay__group-name';
+        summary.innerText = `${group.name} (${groupCount})`;
+
+        const chips = document.createElement('div');
+        chips.className = 'overlay__chips overlay__chips_left';
+        chips.appendChild(createChip(`All ${group.name} (${groupCount})`, () => browseGenres(group.genres)));
+        group.genres
+            .filter(genre => counts.genres.get(genre) > 0)
+            .sort((a, b) => counts.genres.get(b) - counts.genres.get(a))
+            .forEach(genre => {
+                chips.appendChild(createChip(`${genres[genre]} (${counts.genres.get(genre)})`, () => browseGenres([genre])));
+            });
+
+        details.append(summary, chips);
+        fragment.appendChild(details);
+    }
+
+    document.querySelector('[data-genre-groups]').replaceChildren(fragment);
+    openOverlay('[data-genre-overlay]');
+};
+
+/**
+ * Narrows the current search to books with any of the given genres, e.g. from the genre
+ * browser. Other filters of the current search are kept.
+ *
+ * @param {string[]} genreIds - The genre IDs to match.
+ * @returns {undefined}
+ */
+const browseGenres = (genreIds) => {
+    const genreFilters = { ...filters, genres: genreIds, genreMode: 'any' };
+    closeOverlay('[data-genre-overlay]');
+    fillSearchForm(genreFilters);
+    applySearch(genreFilters);
+    pushHistory();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+};
+
+/**
+ * Fills the book details overlay with a book's genres as chips that search for that genre.
+ *
+ * @param {Object} book - The book whose genres to show.
+ * @returns {undefined}
+ */
+const displayBookGenres = (book) => {
+    const fragment = document.createDocumentFragment();
+    book.genres.forEach(genre => fragment.appendChild(createGenreChip(genre)));
+    document.querySelector('[data-list-genres]').replaceChildren(fragment);
+};
+
+/**
+ * Opens the author overlay with an author's bibliography, oldest book first, and statistics
+ * about their books.
+ *
+ * @param {string} authorId - The ID of the author to show.
+ * @returns {undefined}
+ */
+const displayAuthorProfile = (authorId) => {
+    const profile = getAuthorProfile(authorId);
+    if (!profile) return;
+
+    document.querySelector('[data-author-name]').innerText = profile.name;
+    document.querySelector('[data-author-stats]').innerText = [
+        `${profile.books.length} ${profile.books.length === 1 ? 'book' : 'books'}`,
+        `${profile.totalPages.toLocaleString()} pages in total`,
+        `Average popularity ${profile.averagePopularity.toLocaleString()}`,
+    ].join(' · ');
+
+    const genreFragment = document.createDocumentFragment();
+    profile.genres.forEach(({ id, count }) => {
+        genreFragment.appendChild(createGenreChip(id, `${genres[id]} (${count})`));
+    });
+    document.querySelector('[data-author-genres]').replaceChildren(genreFragment);
+
+    const bookFragment = document.createDocumentFragment();
+    for (const book of profile.books) {
+        const item = document.createElement('button');
+        item.className = 'overlay__bibliography-item';
+        item.type = 'button';
+        item.innerText = `${getPublishedYear(book)} · ${book.title}`;
+        item.addEventListener('click', () => {
+            closeOverlay('[data-author-overlay]');
+            openBook(book);
+        });
+        bookFragment.appendChild(item);
+    }
+    document.querySelector('[data-author-books]').replaceChildren(bookFragment);
+
+    openOverlay('[data-author-overlay]');
+    document.querySelector('[data-author-overlay]').scrollTop = 0;
+};
+
+/**
+ * Shows books recommended from the reader's opened and favorite books above the book list.
+ * Recommendations are only shown while browsing all books, not for a search.
+ * @returns {undefined}
+ */
+const displayRecommendations = () => {
+    recommendationsOutdated = false;
+    const browsing = stateToSearch({ filters, page: 1 }) === '';
+    const recommended = browsing
+        ? getRecommendedBooks({ viewedIds: getViewedIds(), favoriteIds: getFavoriteIds() }, RECOMMENDED_BOOKS_COUNT)
+        : [];
+
+    const fragment = document.createDocumentFragment();
+    recommended.forEach(book => fragment.appendChild(createBookElement(book)));
+    document.querySelector('[data-list-recommended-items]').replaceChildren(fragment);
+    document.querySelector('[data-list-recommended]').hidden = recommended.length < 1;
+};
+
+/**
+ * Refreshes the recommendations after books were viewed, unless a recommended card has focus,
+ * e.g. the one a book was opened from. Those keep their place until focus moves on.
+ * @returns {undefined}
+ */
+const updateRecommendations = () => {
+    recommendationsOutdated = true;
+    if (!document.querySelector('[data-list-recommended-items]').contains(document.activeElement)) {
+        displayRecommendations();
+    }
+};
+
 /**
  * Display book details in the list overlay.
  * @param {Object} book - The book object to display.
  */
 const displayBookDetails = (book) => {
-    document.querySelector('[data-list-active]').open = true;
+    activeBook = book;
+    recordView(book.id);
+    // Recommendations are refreshed once the overlay closes, so the card it was opened from
+    // is still there to return focus to
+    openOverlay('[data-list-active]');
     document.querySelector('[data-list-blur]').src = book.image;
     document.querySelector('[data-list-image]').src = book.image;
+    document.querySelector('[data-list-image]').alt = `Cover of ${book.title} by ${authors[book.author]}`;
     document.querySelector('[data-list-title]').innerText = book.title;
-    document.querySelector('[data-list-subtitle]').innerText = `${authors[book.author]} (${new Date(book.published).getFullYear()})`;
+    document.querySelector('[data-list-author]').innerText = authors[book.author];
+    document.querySelector('[data-list-year]').innerText = getPublishedYear(book);
+    document.querySelector('[data-list-meta]').innerText = [
+        `Published ${new Date(book.published).toLocaleDateString(undefined, { dateStyle: 'long' })}`,
+        `${book.pages.toLocaleString()} pages`,
+        `Popularity ${book.popularity.toLocaleString()}`,
+    ].join(' · ');
     document.querySelector('[data-list-description]').innerText = book.description;
+    displayBookGenres(book);
+    displayBookStrip('[data-list-author-books]', getMoreByAuthor(book));
+    displayBookStrip('[data-list-similar]', getSimilarBooks(book.id, RELATED_BOOKS_COUNT));
+    updateShelfButtons();
+    updateStepButtons();
+    // Start at the top when moving from one book to another inside the overlay
+    document.querySelector('[data-list-active]').scrollTop = 0;
+};
+
+/**
+ * Opens a book in the details overlay and gives it its own history entry, so the back
+ * button closes it. Books opened from inside the overlay, e.g. from the similar books, take
+ * over the open book's entry instead, so closing the overlay doesn't reopen earlier books.
+ *
+ * @param {Object} book - The book to open.
+ * @returns {undefined}
+ */
+const openBook = (book) => {
+    const alreadyOpen = activeBook !== null;
+    displayBookDetails(book);
+    if (alreadyOpen) {
+        replaceHistory();
+    } else {
+        pushHistory();
+    }
+};
+
+
+/**
+ * Shows the book before or after the open one in the current matches, e.g. to page through
+ * search results without closing the details overlay. Does nothing at either end of the
+ * matches, or if the open book isn't one of them.
+ *
+ * Stepping past the books shown in the list loads pages up to the new book, so closing the
+ * overlay returns to a list that includes it.
+ *
+ * @param {number} offset - -1 for the previous book, 1 for the next one.
+ * @returns {undefined}
+ */
+const stepBook = (offset) => {
+    const index = matches.indexOf(activeBook);
+    const book = index < 0 ? null : matches[index + offset];
+    if (!book) return;
+    displayBookDetails(book);
+    while (getShownCount() <= index + offset) showMore();
+    // Stepping replaces the open book, so the back button still closes the overlay
+    replaceHistory();
+};
+
+/**
+ * Updates the previous and next buttons in the book details overlay, and where the open book
+ * is in the current matches. They are hidden for books that aren't among the matches, e.g.
+ * ones opened from the similar books.
+ * @returns {undefined}
+ */
+const updateStepButtons = () => {
+    const index = matches.indexOf(activeBook);
+    document.querySelector('[data-list-steps]').hidden = index < 0;
+    document.querySelector('[data-list-previous]').disabled = index < 1;
+    document.querySelector('[data-list-next]').disabled = index < 0 || index >= matches.length - 1;
+    document.querySelector('[data-list-position]').innerText = `${index + 1} of ${matches.length}`;
+};
+
+/**
+ * Handles the app's keyboard shortcuts:
+ *
+ * - `/` opens the search overlay, unless another overlay is already open.
+ * - `?` lists the shortcuts.
+ * - `j` and `k` show the next and previous book while the details overlay is open.
+ *
+ * Escape is left to the overlays, which close on it as modal dialogs. Shortcuts are ignored
+ * while typing in a form field.
+ *
+ * @param {KeyboardEvent} event - The key press.
+ * @returns {undefined}
+ */
+const handleShortcut = (event) => {
+    if (event.altKey || event.ctrlKey || event.metaKey || isTypingEvent(event)) return;
+
+    if (event.key === '/' && getTopOverlay() === null) {
+        // Don't type the slash into the search field once it has focus
+        event.preventDefault();
+        document.querySelector('[data-header-search]').click();
+    } else if (event.key === '?') {
+        openOverlay('[data-shortcuts-overlay]');
+    } else if ((event.key === 'j' || event.key === 'k') && activeBook
+        // Not while another overlay, e.g. the shortcuts, is open over the book details
+        && getTopOverlay() === document.querySelector('[data-list-active]')) {
+        stepBook(event.key === 'j' ? 1 : -1);
+    }
+};
+
+/**
+ * Closes the book details overlay.
+ * @returns {undefined}
+ */
+const closeBookDetails = () => {
+    // Return focus to the card that was clicked, or after stepping through books, to the card
+    // of the book shown last
+    const trigger = overlayTriggers.get(document.querySelector('[data-list-active]'));
+    const card = activeBook && trigger?.id !== activeBook.id
+        ? document.querySelector(`[data-list-items] [id="${activeBook.id}"]`)
+        : null;
+    activeBook = null;
+    closeOverlay('[data-list-active]', card);
+    updateRecommendations();
+};
+
+/**
+ * Reads the search filters from the search form.
+ *
+ * @param {HTMLFormElement} form - The search form.
+ * @returns {Object} The search filters, with the same keys as DEFAULT_FILTERS. Multiple-choice
+ *     fields such as genres are read as arrays.
+ */
+const readSearchFilters = (form) => {
+    const formData = new FormData(form);
+    return Object.fromEntries(Object.entries(DEFAULT_FILTERS).map(([key, defaultValue]) => [
+        key,
+        Array.isArray(defaultValue) ? formData.getAll(key) : formData.get(key) ?? defaultValue,
+    ]));
+};
+
+/**
+ * Fills the search form with the given filters, e.g. when restoring a search from the URL.
+ *
+ * @param {Object} filters - The search filters, with the same keys as DEFAULT_FILTERS.
+ * @returns {undefined}
+ */
+const fillSearchForm = (filters) => {
+    const form = document.querySelector('[data-search-form]');
+    for (const [key, value] of Object.entries(filters)) {
+        const field = form.elements[key];
+        if (Array.isArray(value)) {
+            for (const option of field.options) option.selected = value.includes(option.value);
+        } else {
+            field.value = value;
+        }
+    }
+};
+
+/**
+ * Finds the books matching the search filters, ranked by relevance to the search text.
+ *
+ * The search text may use the field operators, phrases and exclusions described in
+ * parseQuery. A malformed search text matches no books and reports what is wrong instead.
+ *
+ * @param {Object} filters - The search filters.
+ * @returns {{result: Object[], query: string, suggestion: ?string, errors: string[]}} The
+ *     matching books, the trimmed search text, the typo-corrected search text if the results
+ *     are for that, and the problems found in the search text.
+ */
+const searchBooks = (filters) => {
+    const query = filters.title.trim();
+    const { text, tests, errors } = parseQuery(query);
+    if (errors.length > 0) return { result: [], query, suggestion: null, errors };
+
+    /**
+     * Ranks books by relevance to the words of the search text, or keeps them all if there
+     * are none, then applies the form filters and the query's own field filters.
+     *
+     * @param {string} words - The plain words to rank by.
+     * @returns {Object[]} The matching books.
+     */
+    const findBooks = (words) => filterBooks(words === '' ? books : searchIndex.search(words), filters)
+        .filter(book => tests.every(test => test(book)));
+
+    let result = findBooks(text);
+    // Fall back to a typo-corrected search if the exact one found nothing. Only plain text is
+    // corrected, as the suggestion replaces the whole search text.
+    const suggestion = result.length < 1 && text !== '' && tests.length === 0 ? searchIndex.suggest(text) : null;
+    if (suggestion) {
+        result = findBooks(suggestion);
+    }
+
+    return { result, query, suggestion: result.length > 0 ? suggestion : null, errors };
+};
+
+/**
+ * Shows the problems with the search text below the title field of the search form.
+ *
+ * @param {Object} filters - The search filters from the form.
+ * @returns {boolean} Whether the search text is valid and the search can be run.
+ */
+const validateSearchText = (filters) => {
+    const { errors } = parseQuery(filters.title);
+    document.querySelector('[data-search-error]').innerText = errors.join(' ');
+    return errors.length < 1;
+};
+
+/**
+ * Runs a saved or recent search as if its filters had been entered in the search form and
+ * submitted.
+ *
+ * @param {Object} searchFilters - The search filters.
+ * @returns {undefined}
+ */
+const runStoredSearch = (searchFilters) => {
+    // Searches stored before a filter existed leave it at its default
+    fillSearchForm({ ...DEFAULT_FILTERS, ...searchFilters });
+    document.querySelector('[data-search-form]').requestSubmit();
+};
+
+/**
+ * Describes a range filter in a few words.
+ *
+ * @param {string} from - The lower bound, or empty for none.
+ * @param {string} to - The upper bound, or empty for none.
+ * @param {string} prefix - Text to put in front, e.g. 'pages '.
+ * @returns {?string} The description, or null if neither bound is set.
+ */
+const describeRange = (from, to, prefix) => {
+    if (!from && !to) return null;
+    if (!to) return `${prefix}${from}+`;
+    if (!from) return `${prefix}up to ${to}`;
+    return `${prefix}${from}–${to}`;
+};
+
+/**
+ * Describes search filters in a few words, e.g. '"oyster" · Mark Kurlansky · 1990–2000'.
+ *
+ * @param {Object} searchFilters - The search filters.
+ * @returns {string} The description, 'All books' if no filter is set.
+ */
+const describeSearch = (searchFilters) => {
+    const {
+        title, genres: genreIds, genreMode, excludeGenres, author,
+        yearFrom, yearTo, pagesMin, pagesMax, shelf, favorites,
+    } = { ...DEFAULT_FILTERS, ...searchFilters };
+
+    const parts = [
+        title.trim() && `"${title.trim()}"`,
+        author !== 'any' && authors[author],
+        genreIds.length > 0 && genreIds.map(genre => genres[genre]).join(genreMode === 'all' ? ' & ' : ' or '),
+        excludeGenres.length > 0 && `not ${excludeGenres.map(genre => genres[genre]).join(', ')}`,
+        describeRange(yearFrom, yearTo, ''),
+        describeRange(pagesMin, pagesMax, 'pages '),
+        shelf !== 'any' && SHELVES[shelf],
+        favorites === 'only' && 'Favorites',
+    ].filter(Boolean);
+
+    return parts.length > 0 ? parts.join(' · ') : 'All books';
+};
+
+/**
+ * Shows the most recent searches as chips in the search overlay, each running its search
+ * again when clicked. The section is hidden while there are none.
+ * @returns {undefined}
+ */
+const displayRecentSearches = () => {
+    const recentSearches = getRecentSearches(RECENT_SEARCHES_COUNT);
+    const fragment = document.createDocumentFragment();
+
+    for (const { filters: searchFilters, count, timestamp } of recentSearches) {
+        const chip = createChip(`${describeSearch(searchFilters)} (${count})`, () => runStoredSearch(searchFilters));
+        chip.title = `${count} ${count === 1 ? 'book' : 'books'}, searched ${new Date(timestamp).toLocaleString()}`;
+        fragment.appendChild(chip);
+    }
+
+    document.querySelector('[data-recent-searches-list]').replaceChildren(fragment);
+    document.querySelector('[data-recent-searches]').hidden = recentSearches.length < 1;
+    document.querySelector('[data-settings-clear-history]').disabled = recentSearches.length < 1;
+};
+
+/**
+ * Replaces the name of a saved search in the list with a text field to rename it. Enter or
+ * leaving the field keeps the new name, while Escape keeps the old one.
+ *
+ * @param {HTMLElement} item - The list item of the saved search.
+ * @param {Object} savedSearch - The saved search.
+ * @returns {undefined}
+ */
+const editSavedSearchName = (item, savedSearch) => {
+    const input = document.createElement('input');
+    input.className = 'overlay__input';
+    input.value = savedSearch.name;
+    input.setAttribute('aria-label', `New name for ${savedSearch.name}`);
+
+    let done = false;
+    const finish = (rename) => {
+        if (done) return;
+        done = true;
+        const name = input.value.trim();
+        if (rename && name !== '') renameSavedSearch(savedSearch.id, name);
+        displaySavedSearches();
+    };
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === 'Escape') {
+            // Don't submit the search or close the overlay
+            event.preventDefault();
+            event.stopPropagation();
+            finish(event.key === 'Enter');
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    item.replaceChildren(input);
+    input.focus();
+    input.select();
+};
+
+/**
+ * Lists the saved searches in the search overlay, each with buttons to run, rename and
+ * delete it. The list is hidden while there are none.
+ * @returns {undefined}
+ */
+const displaySavedSearches = () => {
+    const savedSearches = getSavedSearches();
+    const fragment = document.createDocumentFragment();
+
+    for (const savedSearch of savedSearches) {
+        const item = document.createElement('li');
+        item.className = 'overlay__saved-search';
+
+        const runButton = document.createElement('button');
+        runButton.className = 'overlay__bibliography-item';
+        runButton.type = 'button';
+        runButton.innerText = savedSearch.name;
+        runButton.addEventListener('click', () => runStoredSearch(savedSearch.filters));
+
+        const renameButton = document.createElement('button');
+        renameButton.className = 'overlay__link';
+        renameButton.type = 'button';
+        renameButton.innerText = 'Rename';
+        renameButton.setAttribute('aria-label', `Rename ${savedSearch.name}`);
+        renameButton.addEventListener('click', () => editSavedSearchName(item, savedSearch));
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'overlay__link';
+        deleteButton.type = 'button';
+        deleteButton.innerText = 'Delete';
+        deleteButton.setAttribute('aria-label', `Delete ${savedSearch.name}`);
+        deleteButton.addEventListener('click', () => {
+            deleteSavedSearch(savedSearch.id);
+            displaySavedSearches();
+        });
+
+        item.append(runButton, renameButton, deleteButton);
+        fragment.appendChild(item);
+    }
+
+    document.querySelector('[data-saved-searches-list]').replaceChildren(fragment);
+    document.querySelector('[data-saved-searches]').hidden = savedSearches.length < 1;
+};
+
+/**
+ * Converts a page size setting to the number of books per page.
+ *
+ * @param {string} setting - A number of books as a string, or 'all'.
+ * @returns {number} The number of books per page, Infinity for 'all'.
+ */
+const parsePageSize = (setting) => (setting === 'all' ? Infinity : Number(setting) || BOOKS_PER_PAGE);
+
+/**
+ * Returns how many matches the pages shown so far cover.
+ * @returns {number} The number of books shown, which may exceed the number of matches.
+ */
+const getShownCount = () => page * pageSize;
+
+/**
+ * Updates the "Show more" button with the number of books not yet shown. The button is
+ * hidden in infinite scroll mode, where scrolling to the end shows more instead.
+ * @returns {undefined}
+ */
+const updateListButton = () => {
+    const remaining = Math.max(0, matches.length - getShownCount());
+    document.querySelector('[data-list-button]').hidden = listMode === 'infinite';
+    document.querySelector('[data-list-button]').disabled = remaining < 1;
+    document.querySelector('[data-list-button]').innerHTML = `
+        <span>Show more</span>
+        <span class="list__remaining"> (${remaining})</span>
+    `;
+};
+
+/**
+ * Runs a search and renders its results in the book list.
+ *
+ * @param {Object} newFilters - The search filters.
+ * @param {number} [pages=1] - How many pages of results to show, e.g. when restoring a view.
+ * @returns {undefined}
+ */
+const applySearch = (newFilters, pages = 1) => {
+    const { result, query, suggestion, errors } = searchBooks(newFilters);
+
+    filters = newFilters;
+    page = pages;
+    // Update matches with filtered books in the chosen order, so pages slice consistently
+    matches = sortBooks(result, filters.sort);
+    // Show message if no matches found, or which correction the results are for
+    updateListMessage(query, suggestion, result.length < 1, errors);
+    announceResults(suggestion, errors);
+    // Replace list items with the requested pages of filtered books
+    renderList();
+    displayRecommendations();
+    displayFacets();
+    // The open book may have moved or left the matches, e.g. while searching as you type
+    if (activeBook) updateStepButtons();
+};
+
+/**
+ * Tells screen reader users how many books a search found, as the list changing behind the
+ * search overlay is otherwise only visible.
+ *
+ * @param {?string} suggestion - The corrected search text the results are for, if any.
+ * @param {string[]} errors - The problems with the search text that stopped it from being run.
+ * @returns {undefined}
+ */
+const announceResults = (suggestion, errors) => {
+    let announcement = `${matches.length} ${matches.length === 1 ? 'book' : 'books'} found`;
+    if (errors.length > 0) {
+        announcement = errors.join(' ');
+    } else if (suggestion) {
+        announcement += ` for "${suggestion}"`;
+    }
+    document.querySelector('[data-list-status]').innerText = `${announcement}.`;
+};
+
+/**
+ * Fills the facet sidebar with the author, genre, decade and length values of the current
+ * matches. Each value shows how many books selecting it would give, and toggles it in the
+ * search when clicked.
+ * @returns {undefined}
+ */
+const displayFacets = () => {
+    const facets = computeFacets(filters, (facetFilters) => searchBooks(facetFilters).result);
+
+    for (const facet of facets) {
+        const fragment = document.createDocumentFragment();
+
+        for (const value of facet.values) {
+            const button = document.createElement('button');
+            button.className = 'list__facet-value';
+            button.type = 'button';
+            button.setAttribute('aria-pressed', String(value.active));
+            const label = document.createElement('span');
+            label.innerText = value.label;
+            const count = document.createElement('span');
+            count.className = 'list__facet-count';
+            count.innerText = value.count;
+            button.append(label, count);
+            button.addEventListener('click', () => {
+                fillSearchForm(value.filters);
+                applySearch(value.filters);
+                pushHistory();
+            });
+            fragment.appendChild(button);
+        }
+
+        document.querySelector(`[data-facet-values="${facet.name}"]`).replaceChildren(fragment);
+    }
+};
+
+/**
+ * Renders the pages of matches shown so far in the book list, replacing what was there.
+ * @returns {undefined}
+ */
+const renderList = () => {
+    const shown = matches.slice(0, getShownCount());
+    if (virtualList) {
+        virtualList.setItems(shown);
+    } else {
+        document.querySelector('[data-list-items]').innerHTML = '';
+        displayBooks(shown);
+    }
+    updateListButton();
+};
+
+/**
+ * Adds the next page of matches to the book list, if there are any left.
+ * @returns {undefined}
+ */
+const showMore = () => {
+    const shownCount = getShownCount();
+    if (shownCount >= matches.length) return;
+
+    // Update page number
+    page += 1;
+    if (virtualList) {
+        virtualList.setItems(matches.slice(0, getShownCount()));
+    } else {
+        // Add next page of books to list
+        displayBooks(matches.slice(shownCount, getShownCount()));
+    }
+    updateListButton();
+    // Keep the page count in the URL without adding a history entry for each page
+    replaceHistory();
+};
+
+/**
+ * Switches how the book list loads more books, without re-rendering it.
+ *
+ * @param {string} mode - 'button' to show more books with the "Show more" button, or
+ *     'infinite' to load them on scrolling, keeping only the visible ones in the DOM.
+ * @returns {undefined}
+ */
+const setListMode = (mode) => {
+    listMode = mode;
+    if (virtualList) {
+        virtualList.destroy();
+        virtualList = null;
+    }
+    if (mode === 'infinite') {
+        virtualList = createVirtualList(document.querySelector('[data-list-items]'), createBookElement, showMore);
+    }
+};
+
+/**
+ * Replaces the current search with one for a single genre, e.g. from a genre chip in the
+ * book details overlay.
+ *
+ * @param {string} genre - The genre ID to search for.
+ * @returns {undefined}
+ */
+const searchByGenre = (genre) => {
+    const genreFilters = { ...DEFAULT_FILTERS, genres: [genre] };
+    closeOverlay('[data-author-overlay]');
+    closeBookDetails();
+    fillSearchForm(genreFilters);
+    applySearch(genreFilters);
+    pushHistory();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+};
+
+/**
+ * Encodes the current search, page count and open book as a URL query string.
+ * @returns {string} The query string, see stateToSearch.
+ */
+const getCurrentSearch = () => stateToSearch({ filters, page, bookId: activeBook && activeBook.id });
+
+/**
+ * Adds a browser history entry for the current state, so it can be returned to with the
+ * back button.
+ * @returns {undefined}
+ */
+const pushHistory = () => {
+    history.pushState({ pushed: true }, '', `${location.pathname}${getCurrentSearch()}`);
+};
+
+/**
+ * Updates the current browser history entry to the current state without adding a new one.
+ * @returns {undefined}
+ */
+const replaceHistory = () => {
+    history.replaceState(history.state, '', `${location.pathname}${getCurrentSearch()}`);
+};
+
+/**
+ * Restores the search, page count and open book encoded in the current URL.
+ *
+ * @param {boolean} [initial=false] - Whether the book list has not been rendered yet.
+ * @returns {undefined}
+ */
+const restoreFromLocation = (initial = false) => {
+    const state = searchToState(location.search);
+    const listChanged = stateToSearch({ ...state, bookId: null }) !== stateToSearch({ filters, page });
+
+    fillSearchForm(state.filters);
+    if (initial || listChanged) {
+        // Only re-render the list if the search or page count differ from what is shown
+        applySearch(state.filters, state.page);
+    }
+
+    const book = booksById.get(state.bookId);
+    if (book) {
+        displayBookDetails(book);
+    } else {
+        closeBookDetails();
+    }
+};
+
+/**
+ * Updates the message shown above the book list after a search.
+ *
+ * When the search text had no exact matches but a typo-corrected version did, the message
+ * offers the correction as a button that re-runs the search with it.
+ *
+ * @param {string} query - The search text that was submitted.
+ * @param {?string} suggestion - The corrected search text the results are for, if any.
+ * @param {boolean} empty - Whether the search found no books at all.
+ * @param {string[]} [errors=[]] - The problems with the search text that stopped it from
+ *     being run, shown instead of the generic no results message.
+ * @returns {undefined}
+ */
+const updateListMessage = (query, suggestion, empty, errors = []) => {
+    const message = document.querySelector('[data-list-message]');
+    message.classList.toggle('list__message_show', empty || Boolean(suggestion));
+    message.classList.toggle('list__message_suggestion', Boolean(suggestion));
+
+    if (!suggestion) {
+        message.innerText = errors.length > 0 ? errors.join(' ') : NO_RESULTS_MESSAGE;
+        return;
+    }
+
+    const button = document.createElement('button');
+    button.className = 'list__suggestion';
+    button.type = 'button';
+    button.innerText = suggestion;
+    button.addEventListener('click', () => {
+        document.querySelector('[data-search-title]').value = suggestion;
+        document.querySelector('[data-search-form]').requestSubmit();
+    });
+
+    message.replaceChildren(
+        `No exact results found for "${query}". Did you mean `,
+        button,
+        '?',
+    );
+};
+
+/**
+ * Wraps a function so it only runs once calls to it have stopped for a while, e.g. to wait
+ * until the user has stopped typing.
+ *
+ * @param {Function} callback - The function to wrap.
+ * @param {number} delay - How many milliseconds to wait after the last call.
+ * @returns {Function} The wrapped function, called with the arguments of the last call.
+ */
+const debounce = (callback, delay) => {
+    let timeout = null;
+    return (...args) => {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => callback(...args), delay);
+    };
+};
+
+/**
+ * Finds the titles and authors to suggest for the text typed into the search title field.
+ * Nothing is suggested for text using field operators, phrases or exclusions, which
+ * describe a search rather than a book.
+ *
+ * @param {string} text - The text typed so far.
+ * @returns {Object[]} The most relevant books followed by authors whose name contains the
+ *     text, each with a label, a hint, and the book or author ID it stands for.
+ */
+const getSearchSuggestions = (text) => {
+    const { tests, errors } = parseQuery(text);
+    if (tests.length > 0 || errors.length > 0) return [];
+
+    const titles = searchIndex.search(text)
+        .slice(0, SUGGESTED_TITLES_COUNT)
+        .map(book => ({ label: book.title, hint: authors[book.author], book }));
+    const authorSuggestions = Object.entries(authors)
+        .filter(([, name]) => normalize(name).includes(normalize(text)))
+        .slice(0, SUGGESTED_AUTHORS_COUNT)
+        .map(([authorId, name]) => ({ label: name, hint: 'Author', authorId }));
+    return [...titles, ...authorSuggestions];
 };
 
+/**
+ * Acts on a picked search suggestion: a title opens the book's details, while an author
+ * searches for their books instead of the typed text.
+ *
+ * @param {Object} suggestion - The suggestion, see getSearchSuggestions.
+ * @returns {undefined}
+ */
+const selectSearchSuggestion = (suggestion) => {
+    if (suggestion.book) {
+        closeOverlay('[data-search-overlay]');
+        openBook(suggestion.book);
+        return;
+    }
+
+    const form = document.querySelector('[data-search-form]');
+    form.elements.title.value = '';
+    form.elements.author.value = suggestion.authorId;
+    applySearch(readSearchFilters(form));
+    replaceHistory();
+};
+
+/**
+ * Updates the book list with the filters in the search form while the user is still typing,
+ * without closing the search overlay or adding a history entry for every keystroke.
+ * @returns {undefined}
+ */
+const runInstantSearch = debounce(() => {
+    // Typing may pause just as the search overlay closes, e.g. when it is cancelled
+    if (!instantSearch || !document.querySelector('[data-search-overlay]').open) return;
+    const newFilters = readSearchFilters(document.querySelector('[data-search-form]'));
+    // Keep showing the previous results until the search text is valid again
+    if (!validateSearchText(newFilters)) return;
+    applySearch(newFilters);
+    replaceHistory();
+}, INSTANT_SEARCH_DELAY);
+
+/**
+ * Switches search-as-you-type on or off. Suggestions are only offered while it is on.
+ *
+ * @param {string} setting - 'on' or 'off'.
+ * @returns {undefined}
+ */
+const setInstantSearch = (setting) => {
+    instantSearch = setting === 'on';
+    autocomplete.close();
+};
 
 /**
  * Populate a dropdown element with option elements based on key-value pairs.
  *
  * @param {Object} items - The key-value pairs to populate the dropdown with.
  * @param {string} elementSelector - The selector for the dropdown element to populate.
- * @param {string} defaultOption - The text to use for the default option element.
+ * @param {string} [defaultOption] - The text to use for the default option element. Omit it
+ *     for multiple-choice dropdowns, where selecting nothing means "any".
+ * @param {boolean} [sorted=false] - Whether to list the options alphabetically rather than
+ *     in the order of the items.
  * @returns {undefined}
  */
-const populateDropdown = (items, elementSelector, defaultOption) => {
+const populateDropdown = (items, elementSelector, defaultOption, sorted = false) => {
     const fragment = document.createDocumentFragment();
-    const defaultElement = document.createElement('option');
-    defaultElement.value = 'any';
-    defaultElement.innerText = defaultOption;
-    fragment.appendChild(defaultElement);
+    if (defaultOption) {
+        const defaultElement = document.createElement('option');
+        defaultElement.value = 'any';
+        defaultElement.innerText = defaultOption;
+        fragment.appendChild(defaultElement);
+    }
 
-    for (const [id, name] of Object.entries(items)) {
+    const entries = Object.entries(items);
+    if (sorted) entries.sort(([, a], [, b]) => a.localeCompare(b));
+
+    for (const [id, name] of entries) {
         const element = document.createElement('option');
         element.value = id;
         element.innerText = name;
@@ -82,17 +1214,96 @@ const populateDropdown = (items, elementSelector, defaultOption) => {
     document.querySelector(elementSelector).appendChild(fragment);
 };
 
-const updateTheme = (theme) => {
-    const darkColors = theme === 'night' ? '255, 255, 255' : '10, 10, 20';
-    const lightColors = theme === 'night' ? '10, 10, 20' : '255, 255, 255';
-    document.documentElement.style.setProperty('--color-dark', darkColors);
-    document.documentElement.style.setProperty('--color-light', lightColors);
+/**
+ * Resolves a theme preference to the theme to display.
+ *
+ * @param {string} preference - A theme ID, or 'system' to follow the operating system.
+ * @returns {string} The ID of the theme to display.
+ */
+const resolveTheme = (preference) => {
+    if (preference !== 'system') return preference;
+    return darkSchemeQuery && darkSchemeQuery.matches ? 'night' : 'day';
+};
+
+/**
+ * Applies a theme preference, falling back to the system theme if the preferred theme no
+ * longer exists.
+ *
+ * @param {string} preference - A theme ID, or 'system' to follow the operating system.
+ * @returns {undefined}
+ */
+const updateTheme = (preference) => {
+    if (!applyTheme(resolveTheme(preference))) {
+        applyTheme(resolveTheme('system'));
+    }
 };
 
+/**
+ * Fills the theme dropdown in the settings overlay with every available theme.
+ * @returns {undefined}
+ */
+const populateThemes = () => {
+    const fragment = document.createDocumentFragment();
+    const systemElement = document.createElement('option');
+    systemElement.value = 'system';
+    systemElement.innerText = 'Follow system';
+    fragment.appendChild(systemElement);
+
+    for (const [id, { name }] of Object.entries(getThemes())) {
+        const element = document.createElement('option');
+        element.value = id;
+        element.innerText = name;
+        fragment.appendChild(element);
+    }
+
+    document.querySelector('[data-settings-theme]').replaceChildren(fragment);
+};
+
+/**
+ * Applies the saved theme preference, and keeps following the operating system theme while
+ * the preference is 'system'.
+ * @returns {undefined}
+ */
 const initializeTheme = () => {
-    const theme = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'night' : 'day';
-    document.querySelector('[data-settings-theme]').value = theme;
-    updateTheme(theme);
+    populateThemes();
+    themePreference = readStorage(THEME_STORAGE_KEY, 'system');
+    if (!getThemes()[themePreference]) themePreference = 'system';
+    document.querySelector('[data-settings-theme]').value = themePreference;
+    updateTheme(themePreference);
+
+    if (darkSchemeQuery) {
+        darkSchemeQuery.addEventListener('change', () => {
+            if (themePreference === 'system') updateTheme(themePreference);
+        });
+    }
+};
+
+/**
+ * Applies the saved list mode and page size, and shows them in the settings overlay.
+ * @returns {undefined}
+ */
+const initializeListSettings = () => {
+    const pageSizeSetting = readStorage(PAGE_SIZE_STORAGE_KEY, String(BOOKS_PER_PAGE));
+    setListMode(readStorage(LIST_MODE_STORAGE_KEY, 'button'));
+    pageSize = parsePageSize(pageSizeSetting);
+    document.querySelector('[data-settings-list-mode]').value = listMode;
+    document.querySelector('[data-settings-page-size]').value = pageSizeSetting;
+};
+
+/**
+ * Sets up suggestions for the search title field and applies the saved search-as-you-type
+ * setting.
+ * @returns {undefined}
+ */
+const initializeInstantSearch = () => {
+    autocomplete = createAutocomplete(
+        document.querySelector('[data-search-title]'),
+        document.querySelector('[data-search-suggestions]'),
+        getSearchSuggestions,
+        selectSearchSuggestion,
+    );
+    setInstantSearch(readStorage(INSTANT_SEARCH_STORAGE_KEY, 'off'));
+    document.querySelector('[data-settings-instant-search]').value = instantSearch ? 'on' : 'off';
 };
 
 /**
@@ -108,34 +1319,136 @@ const setUpEventListeners = () => {
 
     // Search button in header
     document.querySelector('[data-header-search]').addEventListener('click', () => {
+        // Show the latest searches to pick from
+        displayRecentSearches();
+        // Remember the list to go back to if the search is cancelled
+        searchStart = { filters, page };
         // Open search overlay
-        document.querySelector('[data-search-overlay]').open = true;
+        openOverlay('[data-search-overlay]');
         // Focus title input field
         document.querySelector('[data-search-title]').focus();
     });
 
     // Cancel search button
     document.querySelector('[data-search-cancel]').addEventListener('click', () => {
+        // Forget mistakes in the search text that was not run
+        document.querySelector('[data-search-error]').innerText = '';
+        // Discard the changes to the search form
+        fillSearchForm(searchStart.filters);
+        // Undo the results shown while searching as you type
+        if (filters !== searchStart.filters) {
+            applySearch(searchStart.filters, searchStart.page);
+            replaceHistory();
+        }
         // Close search overlay
-        document.querySelector('[data-search-overlay]').open = false;
+        closeOverlay('[data-search-overlay]');
+    });
+
+    // Genres button in header
+    document.querySelector('[data-header-genres]').addEventListener('click', () => {
+        // Open genre browser for the current matches
+        displayGenreBrowser();
+    });
+
+    // Close button in genre browser
+    document.querySelector('[data-genre-close]').addEventListener('click', () => {
+        // Close genre browser
+        closeOverlay('[data-genre-overlay]');
     });
 
     // Settings button in header
     document.querySelector('[data-header-settings]').addEventListener('click', () => {
         // Open settings overlay
-        document.querySelector('[data-settings-overlay]').open = true;
+        openOverlay('[data-settings-overlay]');
     });
 
     // Cancel settings button
     document.querySelector('[data-settings-cancel]').addEventListener('click', () => {
+        // Discard unsaved changes to the settings
+        document.querySelector('[data-settings-theme]').value = themePreference;
+        document.querySelector('[data-settings-list-mode]').value = listMode;
+        document.querySelector('[data-settings-page-size]').value = readStorage(PAGE_SIZE_STORAGE_KEY, String(BOOKS_PER_PAGE));
+        document.querySelector('[data-settings-instant-search]').value = instantSearch ? 'on' : 'off';
         // Close settings overlay
-        document.querySelector('[data-settings-overlay]').open = false;
+        closeOverlay('[data-settings-overlay]');
     });
 
     // Close button in list overlay
     document.querySelector('[data-list-close]').addEventListener('click', () => {
+        if (history.state && history.state.pushed && activeBook) {
+            // Step back to the entry before the book was opened, which closes it on popstate
+            history.back();
+            return;
+        }
         // Close list overlay
-        document.querySelector('[data-list-active]').open = false;
+        closeBookDetails();
+        // The book was opened from a shared link, so drop it from the URL instead
+        replaceHistory();
+    });
+
+    // Previous and next buttons in list overlay
+    document.querySelector('[data-list-previous]').addEventListener('click', () => stepBook(-1));
+    document.querySelector('[data-list-next]').addEventListener('click', () => stepBook(1));
+
+    // Swiping sideways in list overlay
+    let swipeStart = null;
+    document.querySelector('[data-list-active]').addEventListener('touchstart', (event) => {
+        // Leave sideways scrolling of the book strips alone
+        const [touch] = event.changedTouches;
+        swipeStart = event.target.closest('.overlay__strip') ? null : { x: touch.clientX, y: touch.clientY };
+    }, { passive: true });
+    document.querySelector('[data-list-active]').addEventListener('touchend', (event) => {
+        if (!swipeStart) return;
+        const [touch] = event.changedTouches;
+        const distanceX = touch.clientX - swipeStart.x;
+        const distanceY = touch.clientY - swipeStart.y;
+        swipeStart = null;
+        // Only count mostly sideways swipes, not scrolling through the details
+        if (Math.abs(distanceX) < SWIPE_DISTANCE || Math.abs(distanceX) < Math.abs(distanceY) * 2) return;
+        // Swiping left shows the next book, like turning a page
+        stepBook(distanceX < 0 ? 1 : -1);
+    }, { passive: true });
+
+    // Author name in list overlay
+    document.querySelector('[data-list-author]').addEventListener('click', () => {
+        // Open author overlay
+        displayAuthorProfile(activeBook.author);
+    });
+
+    // Close button in author overlay
+    document.querySelector('[data-author-close]').addEventListener('click', () => {
+        // Close author overlay
+        closeOverlay('[data-author-overlay]');
+    });
+
+    // Browser back and forward buttons
+    window.addEventListener('popstate', () => restoreFromLocation());
+
+    // Custom theme form submission
+    document.querySelector('[data-theme-form]').addEventListener('submit', (event) => {
+        // Prevent default form submission
+        event.preventDefault();
+        // Extract theme name and colours from form data
+        const { name, dark, light, blue } = Object.fromEntries(new FormData(event.target));
+        // Add the theme unless its colours are too hard to read
+        const { id, issues } = addCustomTheme(name.trim() || 'Custom', {
+            dark: hexToRgb(dark),
+            light: hexToRgb(light),
+            blue: hexToRgb(blue),
+        });
+        document.querySelector('[data-theme-errors]').innerText = issues.join(' ');
+        if (!id) return;
+        // Select the new theme, ready to be saved with the settings form
+        populateThemes();
+        document.querySelector('[data-settings-theme]').value = id;
+        event.target.reset();
+    });
+
+    // Clear search history button
+    document.querySelector('[data-settings-clear-history]').addEventListener('click', () => {
+        // Forget recent searches and update the chips and button
+        clearSearchHistory();
+        displayRecentSearches();
     });
 
     // Settings form submission
@@ -144,75 +1457,142 @@ const setUpEventListeners = () => {
         event.preventDefault();
         // Get form data
         const formData = new FormData(event.target);
-        // Extract theme value from form data
-        const { theme } = Object.fromEntries(formData);
-        // Update theme
+        // Extract theme, list mode, page size and instant search values from form data
+        const {
+            theme,
+            listMode: newListMode,
+            pageSize: pageSizeSetting,
+            instantSearch: instantSearchSetting,
+        } = Object.fromEntries(formData);
+        // Update and remember theme
+        themePreference = theme;
+        writeStorage(THEME_STORAGE_KEY, theme);
         updateTheme(theme);
+        // Update and remember list mode and page size, re-rendering the list if they changed
+        const newPageSize = parsePageSize(pageSizeSetting);
+        writeStorage(PAGE_SIZE_STORAGE_KEY, pageSizeSetting);
+        if (newListMode !== listMode || newPageSize !== pageSize) {
+            writeStorage(LIST_MODE_STORAGE_KEY, newListMode);
+            setListMode(newListMode);
+            // Keep showing about as many books as before, in pages of the new size
+            page = Math.max(1, Math.ceil(Math.min(getShownCount(), matches.length) / newPageSize));
+            pageSize = newPageSize;
+            renderList();
+            replaceHistory();
+        }
+        // Update and remember whether results update while typing
+        writeStorage(INSTANT_SEARCH_STORAGE_KEY, instantSearchSetting);
+        setInstantSearch(instantSearchSetting);
         // Close settings overlay
-        document.querySelector('[data-settings-overlay]').open = false;
+        closeOverlay('[data-settings-overlay]');
+    });
+
+    // Typing in the search title field
+    document.querySelector('[data-search-title]').addEventListener('input', () => {
+        if (!instantSearch) return;
+        // Suggest matching titles and authors straight away
+        autocomplete.update();
+        // Update the list once typing pauses
+        runInstantSearch();
+    });
+
+    // Any other change to the search filters
+    document.querySelector('[data-search-form]').addEventListener('change', (event) => {
+        // Update the list in instant search mode too; the title field is handled above
+        if (event.target.name !== 'title') runInstantSearch();
+    });
+
+    // Save search form submission
+    document.querySelector('[data-saved-search-form]').addEventListener('submit', (event) => {
+        // Prevent default form submission
+        event.preventDefault();
+        // Get the filters currently entered in the search form
+        const searchFilters = readSearchFilters(document.querySelector('[data-search-form]'));
+        // Only save searches that can be run
+        if (!validateSearchText(searchFilters)) return;
+        // Save them under the given name and show them in the list
+        saveSearch(new FormData(event.target).get('name').trim() || 'Saved search', searchFilters);
+        displaySavedSearches();
+        event.target.reset();
     });
 
     // Search form submission
     document.querySelector('[data-search-form]').addEventListener('submit', (event) => {
         // Prevent default form submission
         event.preventDefault();
-        // Get form data
-        const formData = new FormData(event.target);
-        // Extract filters from form data
-        const filters = Object.fromEntries(formData);
-        // Filter books based on filters
-        const result = books.filter(book => {
-            // Check if genre matches filter or if filter is 'any'
-            const genreMatch = filters.genre === 'any' || book.genres.includes(filters.genre);
-            // Check if title matches filter or if filter is empty
-            const titleMatch = filters.title.trim() === '' || book.title.toLowerCase().includes(filters.title.toLowerCase());
-            // Check if author matches filter or if filter is 'any'
-            const authorMatch = filters.author === 'any' || book.author === filters.author;
-            // Return true if all filters match
-            return (
-                titleMatch && authorMatch && genreMatch
-            );
-        });
-
-        // Update page number to 1
-        page = 1;
-        // Update matches with filtered books
-        matches = result;
-        // Show message if no matches found
-        document.querySelector('[data-list-message]').classList.toggle('list__message_show', result.length < 1);
-        // Clear list items
-        document.querySelector('[data-list-items]').innerHTML = '';
-        // Add first page of filtered books to list
-        displayBooks(matches.slice(0, BOOKS_PER_PAGE));
-        // Update show more button
-        document.querySelector('[data-list-button]').disabled = (matches.length - (page * BOOKS_PER_PAGE)) < 1;
-        document.querySelector('[data-list-button]').innerHTML = `
-            <span>Show more</span>
-            <span class="list__remaining"> (${(matches.length - (page * BOOKS_PER_PAGE))})</span>
-        `;
+        // Get filters from the form data
+        const newFilters = readSearchFilters(event.target);
+        // Keep the overlay open to point out mistakes in the search text
+        if (!validateSearchText(newFilters)) return;
+        // Search with the filters
+        applySearch(newFilters);
+        // Remember the search and how many books it found
+        recordSearch(newFilters, matches.length);
+        // Record the search in browser history so it can be linked and navigated back to
+        pushHistory();
         // Scroll to top
         window.scrollTo({top: 0, behavior: 'smooth'});
         // Close search overlay
-        document.querySelector('[data-search-overlay]').open = false;
+        closeOverlay('[data-search-overlay]');
     });
 
     // Show more button
-    document.querySelector('[data-list-button]').addEventListener('click', () => {
-        // Add next page of books to list
-        displayBooks(matches.slice(page * BOOKS_PER_PAGE, (page + 1) * BOOKS_PER_PAGE));
-        // Update page number
-        page += 1;
+    document.querySelector('[data-list-button]').addEventListener('click', showMore);
+
+    // Close button in shortcuts overlay
+    document.querySelector('[data-shortcuts-close]').addEventListener('click', () => {
+        // Close shortcuts overlay
+        closeOverlay('[data-shortcuts-overlay]');
+    });
+
+    // Escape key in any overlay
+    for (const [overlay, closeButton] of OVERLAY_CLOSE_BUTTONS) {
+        document.querySelector(overlay).addEventListener('cancel', (event) => {
+            // Close it the same way as its own button instead of only hiding it
+            event.preventDefault();
+            document.querySelector(closeButton).click();
+        });
+        // Closed some other way, e.g. by the browser when Escape is pressed twice and the
+        // cancel event can't be prevented
+        document.querySelector(overlay).addEventListener('close', () => {
+            if (overlay === '[data-list-active]' && activeBook) {
+                // Forget the book, so the URL and the shortcuts no longer act on it
+                closeBookDetails();
+                replaceHistory();
+            } else {
+                closeOverlay(overlay);
+            }
+        });
+    }
+
+    // Keyboard shortcuts anywhere in the app
+    document.addEventListener('keydown', handleShortcut);
+
+    // Focus leaving the recommendations, e.g. after returning to the card a book was opened from
+    document.querySelector('[data-list-recommended-items]').addEventListener('focusout', (event) => {
+        // Opening another book moves focus into its overlay, which refreshes them when closed
+        if (!recommendationsOutdated || getTopOverlay() !== null) return;
+        if (!event.currentTarget.contains(event.relatedTarget)) displayRecommendations();
     });
 
+    // Arrow keys in the book list and recommendations
+    createRovingGrid(document.querySelector('[data-list-items]'), 'book-preview');
+    createRovingGrid(document.querySelector('[data-list-recommended-items]'), 'book-preview');
+
    
 };
 
 // Initialize the application
-displayBooks(matches.slice(0, BOOKS_PER_PAGE));
-populateDropdown(genres, '[data-search-genres]', 'All Genres');
+populateDropdown(genres, '[data-search-genres]', null, true);
+populateDropdown(genres, '[data-search-exclude-genres]', null, true);
 populateDropdown(authors, '[data-search-authors]', 'All Authors');
+populateDropdown(SHELVES, '[data-search-shelves]', 'Any Shelf');
+createShelfButtons();
+displaySavedSearches();
+displayRecentSearches();
 initializeTheme();
+initializeListSettings();
+initializeInstantSearch();
 setUpEventListeners();
-document.querySelector('[data-list-button]').innerText = `Show more (${books.length - BOOKS_PER_PAGE})`;
-document.querySelector('[data-list-button]').disabled = (matches.length - (page * BOOKS_PER_PAGE)) <= 0;
-
+// Render the book list, restoring any search and open book from the URL
+restoreFromLocation(true);
@@ -0,0 +1,46 @@
+import { readStorage, writeStorage } from './storage.js';
+
+const SEARCH_HISTORY_STORAGE_KEY = 'search-history';
+
+/**
+ * How many searches are remembered. Older ones are forgotten as new ones are recorded.
+ */
+const MAX_HISTORY_LENGTH = 50;
+
+// { filters, count, timestamp } for each search, most recent first
+let searchHistory = readStorage(SEARCH_HISTORY_STORAGE_KEY, []);
+
+/**
+ * Records a submitted search. Repeating an earlier search moves it to the front instead of
+ * recording it twice.
+ *
+ * @param {Object} filters - The search filters, with the same keys as DEFAULT_FILTERS.
+ * @param {number} count - How many books the search found.
+ * @returns {undefined}
+ */
+export const recordSearch = (filters, count) => {
+    const key = JSON.stringify(filters);
+    searchHistory = [
+        { filters, count, timestamp: Date.now() },
+        ...searchHistory.filter(search => JSON.stringify(search.filters) !== key),
+    ].slice(0, MAX_HISTORY_LENGTH);
+    writeStorage(SEARCH_HISTORY_STORAGE_KEY, searchHistory);
+};
+
+/**
+ * Returns the most recent searches.
+ *
+ * @param {number} n - How many searches to return at most.
+ * @returns {Object[]} The searches, most recent first, each with the search filters, the
+ *     number of books found and when it was run as a timestamp in milliseconds.
+ */
+export const getRecentSearches = (n) => searchHistory.slice(0, n);
+
+/**
+ * Forgets every recorded search.
+ * @returns {undefined}
+ */
+export const clearSearchHistory = () => {
+    searchHistory = [];
+    writeStorage(SEARCH_HISTORY_STORAGE_KEY, searchHistory);
+};
@@ -0,0 +1,242 @@
+/**
+ * How much a term found in each field of a book counts towards its relevance.
+ * Title hits are weighted highest, followed by the author's name and lastly the description.
+ */
+const FIELD_WEIGHTS = {
+    title: 5,
+    author: 3,
+    description: 1,
+};
+
+/**
+ * Score multiplier applied when a query term only matches the start of an indexed term,
+ * e.g. "oyst" matching "oyster".
+ */
+const PREFIX_WEIGHT = 0.5;
+
+/**
+ * Bonus added when the whole query appears verbatim in the title.
+ */
+const TITLE_PHRASE_BONUS = 10;
+
+/**
+ * Common words that carry no meaning on their own and are left out of the index.
+ */
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'he', 'her', 'his',
+    'in', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their', 'this', 'to',
+    'was', 'were', 'with',
+]);
+
+/**
+ * Query terms shorter than this are only corrected by a single edit; longer ones allow two.
+ */
+const FUZZY_LONG_TERM_LENGTH = 5;
+
+/**
+ * Normalises text for comparison: lowercased, with accents and surrounding whitespace removed.
+ *
+ * @param {string} text - The text to normalise.
+ * @returns {string} The normalised text.
+ */
+export const normalize = (text) => text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+/**
+ * Splits text into searchable terms, dropping punctuation and stop words.
+ *
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} The terms found in the text, in order of appearance.
+ */
+export const tokenize = (text) => normalize(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term !== '' && !STOP_WORDS.has(term));
+
+/**
+ * Counts the insertions, deletions, substitutions and adjacent transpositions needed to turn
+ * one string into another (optimal string alignment distance).
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The edit distance between the strings.
+ */
+export const editDistance = (a, b) => {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + cost,
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+};
+
+/**
+ * Builds a full-text search index over the title, author name and description of each book.
+ *
+ * @param {Object[]} books - The books to index.
+ * @param {Object} authors - A map of author IDs to author names.
+ * @returns {{search: function(string): Object[], suggest: function(string): ?string}} The search index.
+ */
+export const createSearchIndex = (books, authors) => {
+    // term -> (book index -> field-weighted term frequency)
+    const postings = new Map();
+    // Terms appearing in titles or author names, which misspelled queries are corrected towards
+    const nameTerms = new Set();
+
+    books.forEach((book, index) => {
+        const fields = {
+            title: book.title,
+            author: authors[book.author] || '',
+            description: book.description || '',
+        };
+
+        for (const [field, text] of Object.entries(fields)) {
+            const counts = new Map();
+            tokenize(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+            if (field !== 'description') counts.forEach((_, term) => nameTerms.add(term));
+
+            for (const [term, count] of counts) {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const entry = postings.get(term);
+                // Saturate repeated terms so long descriptions can't drown out a single title hit
+                const weight = FIELD_WEIGHTS[field] * (count / (count + 1));
+                entry.set(index, (entry.get(index) || 0) + weight);
+            }
+        }
+    });
+
+    const terms = [...postings.keys()];
+
+    /**
+     * Inverse document frequency: rarer terms say more about a book than common ones.
+     *
+     * @param {string} term - An indexed term.
+     * @returns {number} The weight of the term.
+     */
+    const idf = (term) => Math.log(1 + books.length / postings.get(term).size);
+
+    /**
+     * Scores every book containing a query term, either exactly or as a prefix of a longer term.
+     *
+     * @param {string} queryTerm - A single term from the query.
+     * @returns {Map<number, number>} A map of book indexes to their score for this term.
+     */
+    const scoreTerm = (queryTerm) => {
+        const scores = new Map();
+        const add = (term, multiplier) => {
+            const termWeight = idf(term) * multiplier;
+            for (const [index, weight] of postings.get(term)) {
+                scores.set(index, Math.max(scores.get(index) || 0, weight * termWeight));
+            }
+        };
+
+        if (postings.has(queryTerm)) add(queryTerm, 1);
+        if (queryTerm.length >= 3) {
+            terms
+                .filter(term => term !== queryTerm && term.startsWith(queryTerm))
+                .forEach(term => add(term, PREFIX_WEIGHT));
+        }
+
+        return scores;
+    };
+
+    /**
+     * Finds the books matching every term in the query, most relevant first.
+     *
+     * @param {string} query - The text to search for.
+     * @returns {Object[]} The matching books ranked by relevance.
+     */
+    const search = (query) => {
+        const phrase = normalize(query);
+        const queryTerms = [...new Set(tokenize(query))];
+        // Queries made up only of stop words (e.g. "The") fall back to a plain title match
+        if (queryTerms.length === 0) {
+            return books.filter(book => normalize(book.title).includes(phrase));
+        }
+
+        let totals = null;
+        for (const queryTerm of queryTerms) {
+            const scores = scoreTerm(queryTerm);
+            if (totals === null) {
+                totals = scores;
+                continue;
+            }
+            // Only keep books that matched all previous terms as well as this one
+            const combined = new Map();
+            for (const [index, score] of totals) {
+                if (scores.has(index)) combined.set(index, score + scores.get(index));
+            }
+            totals = combined;
+        }
+
+        return [...totals]
+            .map(([index, score]) => ({
+                index,
+                score: normalize(books[index].title).includes(phrase) ? score + TITLE_PHRASE_BONUS : score,
+            }))
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(({ index }) => books[index]);
+    };
+
+    /**
+     * Finds the title or author term closest to a possibly misspelled query term.
+     *
+     * @param {string} queryTerm - A single term from the query.
+     * @returns {?string} The closest term within the allowed edit distance, or null if none is.
+     */
+    const closestNameTerm = (queryTerm) => {
+        const maxDistance = queryTerm.length >= FUZZY_LONG_TERM_LENGTH ? 2 : 1;
+        let best = null;
+        let bestDistance = maxDistance + 1;
+
+        for (const term of nameTerms) {
+            if (Math.abs(term.length - queryTerm.length) > maxDistance) continue;
+            const distance = editDistance(queryTerm, term);
+            // Prefer the closest term, then the one appearing in the most books
+            if (distance > maxDistance) continue;
+            if (distance < bestDistance
+                || (distance === bestDistance && postings.get(term).size > postings.get(best).size)) {
+                best = term;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    };
+
+    /**
+     * Suggests a corrected query by replacing unknown terms with the closest title or author
+     * terms, e.g. "Kahnemann" becomes "kahneman".
+     *
+     * @param {string} query - The query that found no results.
+     * @returns {?string} The corrected query, or null if no correction could be found.
+     */
+    const suggest = (query) => {
+        let corrected = false;
+        const suggestion = tokenize(query).map(queryTerm => {
+            if (postings.has(queryTerm)) return queryTerm;
+            const closest = closestNameTerm(queryTerm);
+            if (closest === null) return queryTerm;
+            corrected = true;
+            return closest;
+        });
+
+        return corrected ? suggestion.join(' ') : null;
+    };
+
+    return { search, suggest };
+};
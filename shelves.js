@@ -0,0 +1,40 @@
+import { readStorage, writeStorage } from './storage.js';
+
+const SHELVES_STORAGE_KEY = 'shelves';
+
+/**
+ * The reading lists a book can be put on, keyed by shelf ID.
+ */
+export const SHELVES = {
+    want: 'Want to Read',
+    reading: 'Currently Reading',
+    finished: 'Finished',
+};
+
+// book ID -> shelf ID
+let shelvedBooks = readStorage(SHELVES_STORAGE_KEY, {});
+
+/**
+ * Returns the shelf a book is on.
+ *
+ * @param {string} bookId - The ID of the book.
+ * @returns {?string} The shelf ID, or null if the book is not on a shelf.
+ */
+export const getShelf = (bookId) => shelvedBooks[bookId] || null;
+
+/**
+ * Moves a book to a shelf, or takes it off its shelf, and saves the change.
+ *
+ * @param {string} bookId - The ID of the book.
+ * @param {?string} shelf - The shelf ID to move the book to, or null to remove it.
+ * @returns {undefined}
+ */
+export const setShelf = (bookId, shelf) => {
+    shelvedBooks = { ...shelvedBooks };
+    if (shelf) {
+        shelvedBooks[bookId] = shelf;
+    } else {
+        delete shelvedBooks[bookId];
+    }
+    writeStorage(SHELVES_STORAGE_KEY, shelvedBooks);
+};
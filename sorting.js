@@ -0,0 +1,52 @@
+import { authors } from './data.js';
+
+/**
+ * Returns the last word of an author's name, used to sort by surname.
+ *
+ * @param {Object} book - The book whose author to look up.
+ * @returns {string} The author's surname.
+ */
+const getAuthorSurname = (book) => (authors[book.author] || '').trim().split(/\s+/).pop();
+
+/**
+ * Compares two books by title, used to break ties between otherwise equal books.
+ *
+ * @param {Object} a - The first book.
+ * @param {Object} b - The second book.
+ * @returns {number} A negative, zero or positive number as for Array.prototype.sort.
+ */
+const compareTitles = (a, b) => a.title.localeCompare(b.title);
+
+/**
+ * Comparators for each sort option in the search form, keyed by option value.
+ * 'relevance' keeps the order the books are already in: ranked by the search text
+ * when there is one, or as listed in the data otherwise.
+ */
+const SORTERS = {
+    relevance: () => 0,
+    popularity: (a, b) => b.popularity - a.popularity || compareTitles(a, b),
+    newest: (a, b) => new Date(b.published) - new Date(a.published) || compareTitles(a, b),
+    oldest: (a, b) => new Date(a.published) - new Date(b.published) || compareTitles(a, b),
+    title: compareTitles,
+    author: (a, b) => getAuthorSurname(a).localeCompare(getAuthorSurname(b)) || compareTitles(a, b),
+    shortest: (a, b) => a.pages - b.pages || compareTitles(a, b),
+    longest: (a, b) => b.pages - a.pages || compareTitles(a, b),
+};
+
+/**
+ * Checks whether a value is one of the sort options.
+ *
+ * @param {string} sort - The value to check.
+ * @returns {boolean} Whether books can be sorted by it.
+ */
+export const isSortOption = (sort) => Object.hasOwn(SORTERS, sort);
+
+/**
+ * Sorts books by one of the sort options without modifying the original array.
+ *
+ * @param {Object[]} books - The books to sort.
+ * @param {string} sort - The sort option, e.g. 'popularity' or 'newest'. Unknown options
+ *     are treated as 'relevance'.
+ * @returns {Object[]} A new array of the books in sorted order.
+ */
+export const sortBooks = (books, sort) => [...books].sort(SORTERS[sort] || SORTERS.relevance);
@@ -0,0 +1,37 @@
+/**
+ * Prefix for every key this app stores, so its entries don't clash with other apps on the
+ * same origin.
+ */
+const STORAGE_PREFIX = 'book-connect:';
+
+/**
+ * Reads a value saved with writeStorage.
+ *
+ * @param {string} key - The key the value was saved under.
+ * @param {*} fallback - The value to return if nothing is saved or storage is unavailable.
+ * @returns {*} The saved value, or the fallback.
+ */
+export const readStorage = (key, fallback) => {
+    try {
+        const value = localStorage.getItem(STORAGE_PREFIX + key);
+        return value === null ? fallback : JSON.parse(value);
+    } catch {
+        // Storage may be disabled (e.g. private browsing) or hold corrupt data
+        return fallback;
+    }
+};
+
+/**
+ * Saves a value in local storage so it persists across sessions.
+ *
+ * @param {string} key - The key to save the value under.
+ * @param {*} value - The value to save. It must be serializable as JSON.
+ * @returns {undefined}
+ */
+export const writeStorage = (key, value) => {
+    try {
+        localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch {
+        // Storage may be full or disabled: the value is simply not kept beyond this session
+    }
+};
@@ -0,0 +1,261 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import axe from 'axe-core';
+import html from '../index.html?raw';
+
+/**
+ * Loads index.html into the test document and starts the app on it.
+ * @returns {Promise<undefined>}
+ */
+const loadApp = async () => {
+    const page = new DOMParser().parseFromString(html, 'text/html');
+    // The app is imported below instead, as jsdom doesn't run module scripts
+    page.querySelectorAll('script').forEach(script => script.remove());
+    document.head.replaceChildren(...page.head.childNodes);
+    document.body.replaceChildren(...page.body.childNodes);
+    await import('../scripts.js');
+};
+
+/**
+ * Runs axe on part of the page. Colour contrast is left out, as jsdom doesn't render.
+ *
+ * @param {Element} context - The element to check.
+ * @returns {Promise<Object[]>} The rule violations found.
+ */
+const findViolations = async (context) => {
+    const { violations } = await axe.run(context, { rules: { 'color-contrast': { enabled: false } } });
+    return violations;
+};
+
+/**
+ * Submits the search form with the given search text.
+ *
+ * @param {string} title - The search text.
+ * @returns {undefined}
+ */
+const search = (title) => {
+    document.querySelector('[data-header-search]').click();
+    document.querySelector('[data-search-title]').value = title;
+    document.querySelector('[data-search-form]').requestSubmit();
+};
+
+/**
+ * Closes the book details with their Close button. A book opened from the page steps back
+ * through history, which closes the overlay on popstate.
+ * @returns {Promise<undefined>}
+ */
+const closeBookDetails = async () => {
+    const closed = new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+    document.querySelector('[data-list-close]').click();
+    await closed;
+};
+
+/**
+ * Presses a key on an element, as a keyboard shortcut would be.
+ *
+ * @param {Element} target - The element with focus.
+ * @param {string} key - The key, e.g. '/'.
+ * @returns {undefined}
+ */
+const pressKey = (target, key) => {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+};
+
+/**
+ * Returns the cards in the book list.
+ * @returns {HTMLElement[]} The book-preview elements.
+ */
+const getCards = () => [...document.querySelectorAll('[data-list-items] book-preview')];
+
+beforeAll(loadApp);
+
+describe('book cards', () => {
+    it('name each book with its title and author', () => {
+        const cards = getCards();
+        expect(cards.length).toBeGreaterThan(0);
+
+        for (const card of cards) {
+            const button = card.shadowRoot.querySelector('.preview');
+            const label = button.getAttribute('aria-label');
+            expect(label).toContain(card.getAttribute('title'));
+            expect(label).toContain(card.getAttribute('author'));
+            expect(card.shadowRoot.querySelector('.preview__favorite').getAttribute('aria-label'))
+                .toBe(`Favorite ${card.getAttribute('title')}`);
+        }
+    });
+
+    it('describe each cover in its alt text', () => {
+        for (const card of getCards()) {
+            expect(card.shadowRoot.querySelector('img').alt)
+                .toBe(`Cover of ${card.getAttribute('title')} by ${card.getAttribute('author')}`);
+        }
+    });
+
+    it('pass axe checks', async () => {
+        expect(await findViolations(document.querySelector('[data-list-items]'))).toEqual([]);
+    });
+});
+
+describe('overlays', () => {
+    it('return focus to the card that opened the book details', async () => {
+        const [card] = getCards();
+        card.focus();
+        card.click();
+        const overlay = document.querySelector('[data-list-active]');
+        expect(overlay.open).toBe(true);
+        expect(await findViolations(overlay)).toEqual([]);
+
+        await closeBookDetails();
+        expect(overlay.open).toBe(false);
+        expect(document.activeElement).toBe(card);
+    });
+
+    it('return focus to the recommended card that opened the book details', async () => {
+        const card = document.querySelector('[data-list-recommended-items] book-preview');
+        expect(card).not.toBeNull();
+        card.focus();
+        card.click();
+
+        await closeBookDetails();
+        expect(document.activeElement).toBe(card);
+
+        // The book was seen, so it leaves the recommendations once focus moves on
+        getCards()[0].focus();
+        expect(card.isConnected).toBe(false);
+    });
+
+    it('leave the search shortcut alone while the book details are open', async () => {
+        const [card] = getCards();
+        card.focus();
+        card.click();
+        pressKey(document.querySelector('[data-list-close]'), '/');
+        expect(document.querySelector('[data-search-overlay]').open).toBe(false);
+
+        await closeBookDetails();
+        expect(document.querySelector('[data-list-active]').open).toBe(false);
+        expect(new URLSearchParams(location.search).has('book')).toBe(false);
+        expect(document.activeElement).toBe(card);
+    });
+
+    it('leave the search shortcut alone while the search overlay is open', async () => {
+        const setInstantSearch = (setting) => {
+            document.querySelector('[data-settings-instant-search]').value = setting;
+            document.querySelector('[data-settings-form]').requestSubmit();
+        };
+        setInstantSearch('on');
+        const shown = getCards().length;
+
+        document.querySelector('[data-header-search]').click();
+        const title = document.querySelector('[data-search-title]');
+        title.value = 'kahneman';
+        title.dispatchEvent(new Event('input', { bubbles: true }));
+        await vi.waitFor(() => expect(getCards().length).toBeLessThan(shown));
+        const cancel = document.querySelector('[data-search-cancel]');
+        cancel.focus();
+        pressKey(cancel, '/');
+
+        // Cancel goes back to the list from before the search overlay first opened
+        cancel.click();
+        expect(getCards().length).toBe(shown);
+        setInstantSearch('off');
+    });
+
+    it('return focus to the button that opened them when Escape is pressed', () => {
+        const button = document.querySelector('[data-header-settings]');
+        button.focus();
+        button.click();
+        const overlay = document.querySelector('[data-settings-overlay]');
+        expect(overlay.open).toBe(true);
+
+        overlay.dispatchEvent(new Event('cancel', { cancelable: true }));
+        expect(overlay.open).toBe(false);
+        expect(document.activeElement).toBe(button);
+    });
+
+    it('return focus and forget the book when the browser closes them', () => {
+        const [card] = getCards();
+        card.focus();
+        card.click();
+        expect(new URLSearchParams(location.search).has('book')).toBe(true);
+
+        document.querySelector('[data-list-active]').close();
+        expect(document.activeElement).toBe(card);
+        expect(new URLSearchParams(location.search).has('book')).toBe(false);
+    });
+});
+
+describe('results live region', () => {
+    const status = () => document.querySelector('[data-list-status]');
+
+    it('is a polite status region', () => {
+        expect(status().getAttribute('role')).toBe('status');
+    });
+
+    it('announces how many books a search found', () => {
+        search('kahneman');
+        expect(status().textContent).toBe(`${getCards().length} books found.`);
+    });
+
+    it('announces searches that find nothing', () => {
+        search('year:<1000');
+        expect(status().textContent).toBe('0 books found.');
+    });
+});
+
+describe('favorite stars', () => {
+    /**
+     * Presses the star on a card.
+     *
+     * @param {HTMLElement} card - The book-preview element.
+     * @returns {undefined}
+     */
+    const pressStar = (card) => {
+        const star = card.shadowRoot.querySelector('.preview__favorite');
+        star.focus();
+        star.click();
+    };
+
+    /**
+     * Searches all books, or only the favorites.
+     *
+     * @param {string} favorites - 'only' or 'any'.
+     * @returns {undefined}
+     */
+    const searchFavorites = (favorites) => {
+        document.querySelector('[data-search-form]').elements.favorites.value = favorites;
+        search('');
+    };
+
+    it('keep focus on the star of a card that stays', () => {
+        searchFavorites('any');
+        const [card] = getCards();
+        pressStar(card);
+        expect(document.activeElement).toBe(card);
+        expect(card.shadowRoot.activeElement).toBe(card.shadowRoot.querySelector('.preview__favorite'));
+    });
+
+    it('move focus to the next card when a book leaves a favorites-only search', () => {
+        const [, second] = getCards();
+        pressStar(second);
+        searchFavorites('only');
+        const [first, next] = getCards();
+        expect(getCards()).toHaveLength(2);
+
+        pressStar(first);
+        expect(first.isConnected).toBe(false);
+        expect(document.activeElement.id).toBe(next.id);
+    });
+
+    it('move focus to the list when the last favorite leaves it', () => {
+        pressStar(getCards()[0]);
+        expect(getCards()).toHaveLength(0);
+        expect(document.activeElement).toBe(document.querySelector('[data-list-items]'));
+        searchFavorites('any');
+    });
+
+    it('keep focus among the cards when the recommendations are shown again', () => {
+        const card = document.querySelector('[data-list-recommended-items] book-preview');
+        pressStar(card);
+        expect(card.isConnected).toBe(false);
+        expect(document.activeElement.tagName).toBe('BOOK-PREVIEW');
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Fills in the browser features the app uses that jsdom doesn't implement. They only need to
+ * behave as far as the tests rely on them.
+ */
+
+Object.defineProperty(HTMLElement.prototype, 'innerText', {
+    get() {
+        return this.textContent;
+    },
+    set(value) {
+        this.textContent = value;
+    },
+    configurable: true,
+});
+
+Element.prototype.scrollIntoView = () => {};
+window.scrollTo = () => {};
+
+window.matchMedia = (query) => ({
+    matches: false,
+    media: query,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+});
+
+window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+};
+
+// Browsers queue the close event, while firing it straight away is enough here
+HTMLDialogElement.prototype.showModal = function () {
+    this.setAttribute('open', '');
+};
+HTMLDialogElement.prototype.close = function () {
+    if (!this.open) return;
+    this.removeAttribute('open');
+    this.dispatchEvent(new Event('close'));
+};
@@ -0,0 +1,167 @@
+import { readStorage, writeStorage } from './storage.js';
+
+const CUSTOM_THEMES_STORAGE_KEY = 'custom-themes';
+
+/**
+ * Minimum WCAG contrast ratios between colours that are displayed on top of each other.
+ * Body text needs 4.5:1, while accents and button labels only need the 3:1 of large text.
+ */
+const CONTRAST_REQUIREMENTS = [
+    { foreground: 'dark', background: 'light', minimum: 4.5, label: 'Text on the page background' },
+    { foreground: 'force-light', background: 'force-dark', minimum: 4.5, label: 'Header icons on the header' },
+    { foreground: 'blue', background: 'light', minimum: 3, label: 'Accent on the page background' },
+    { foreground: 'force-light', background: 'blue', minimum: 3, label: 'Button labels on the accent' },
+];
+
+/**
+ * The themes that ship with the app. Each palette sets every `--color-*` custom property
+ * used by styles.css and the BookPreview component, as comma-separated RGB triplets.
+ */
+const BUILT_IN_THEMES = {
+    day: {
+        name: 'Day',
+        palette: {
+            'dark': '10, 10, 20',
+            'light': '255, 255, 255',
+            'blue': '0, 150, 255',
+            'force-dark': '10, 10, 20',
+            'force-light': '255, 255, 255',
+        },
+    },
+    night: {
+        name: 'Night',
+        palette: {
+            'dark': '255, 255, 255',
+            'light': '10, 10, 20',
+            'blue': '0, 150, 255',
+            'force-dark': '10, 10, 20',
+            'force-light': '255, 255, 255',
+        },
+    },
+    sepia: {
+        name: 'Sepia',
+        palette: {
+            'dark': '67, 52, 34',
+            'light': '244, 236, 216',
+            'blue': '150, 85, 30',
+            'force-dark': '67, 52, 34',
+            'force-light': '244, 236, 216',
+        },
+    },
+    'high-contrast': {
+        name: 'High contrast',
+        palette: {
+            'dark': '0, 0, 0',
+            'light': '255, 255, 255',
+            'blue': '0, 0, 238',
+            'force-dark': '0, 0, 0',
+            'force-light': '255, 255, 255',
+        },
+    },
+};
+
+let customThemes = readStorage(CUSTOM_THEMES_STORAGE_KEY, {});
+
+/**
+ * Converts a hex colour such as '#0096ff', as given by colour inputs, to an RGB triplet.
+ *
+ * @param {string} hex - The hex colour.
+ * @returns {string} The colour as a comma-separated RGB triplet, e.g. '0, 150, 255'.
+ */
+export const hexToRgb = (hex) => [1, 3, 5]
+    .map(start => parseInt(hex.slice(start, start + 2), 16))
+    .join(', ');
+
+/**
+ * Calculates the relative luminance of a colour as defined by WCAG.
+ *
+ * @param {string} rgb - The colour as a comma-separated RGB triplet.
+ * @returns {number} The luminance, from 0 for black to 1 for white.
+ */
+const getLuminance = (rgb) => {
+    const [red, green, blue] = rgb.split(',').map(channel => {
+        const value = Number(channel) / 255;
+        return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+};
+
+/**
+ * Calculates the WCAG contrast ratio between two colours.
+ *
+ * @param {string} first - A colour as a comma-separated RGB triplet.
+ * @param {string} second - Another colour as a comma-separated RGB triplet.
+ * @returns {number} The contrast ratio, from 1 for identical colours to 21 for black on white.
+ */
+export const getContrastRatio = (first, second) => {
+    const [lighter, darker] = [getLuminance(first), getLuminance(second)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+};
+
+/**
+ * Checks that every pair of colours in a palette that is displayed together is readable.
+ *
+ * @param {Object} palette - The palette to check, keyed by custom property name without
+ *     the `--color-` prefix.
+ * @returns {string[]} A description of each pair with too little contrast. Empty if the
+ *     palette is readable.
+ */
+export const getContrastIssues = (palette) => CONTRAST_REQUIREMENTS
+    .map(({ foreground, background, minimum, label }) => ({
+        label,
+        minimum,
+        ratio: getContrastRatio(palette[foreground], palette[background]),
+    }))
+    .filter(({ ratio, minimum }) => ratio < minimum)
+    .map(({ label, ratio, minimum }) => `${label} has a contrast of ${ratio.toFixed(2)}:1, below the required ${minimum}:1.`);
+
+/**
+ * Returns every theme that can be selected: the built-in ones followed by the user's own.
+ *
+ * @returns {Object} A map of theme IDs to themes, each with a display name and palette.
+ */
+export const getThemes = () => ({ ...BUILT_IN_THEMES, ...customThemes });
+
+/**
+ * Adds a user-defined theme and saves it for future sessions, provided it is readable.
+ *
+ * The header and button colours of custom themes are taken from the day theme, so a theme
+ * only needs text, background and accent colours.
+ *
+ * @param {string} name - The name to show for the theme.
+ * @param {Object} colors - The theme's colours as RGB triplets.
+ * @param {string} colors.dark - The text colour.
+ * @param {string} colors.light - The background colour.
+ * @param {string} colors.blue - The accent colour.
+ * @returns {{id: ?string, issues: string[]}} The ID of the new theme, or null with the
+ *     contrast issues that prevented it from being added.
+ */
+export const addCustomTheme = (name, colors) => {
+    const palette = { ...BUILT_IN_THEMES.day.palette, ...colors };
+    const issues = getContrastIssues(palette);
+    if (issues.length > 0) return { id: null, issues };
+
+    const id = `custom-${Date.now()}`;
+    customThemes = { ...customThemes, [id]: { name, palette } };
+    writeStorage(CUSTOM_THEMES_STORAGE_KEY, customThemes);
+    return { id, issues };
+};
+
+/**
+ * Sets the custom properties of a theme on the document, provided it is readable.
+ *
+ * @param {string} id - The ID of the theme to apply.
+ * @returns {boolean} Whether the theme was applied. Unknown or unreadable themes are not.
+ */
+export const applyTheme = (id) => {
+    const theme = getThemes()[id];
+    if (!theme || getContrastIssues(theme.palette).length > 0) return false;
+
+    for (const [key, value] of Object.entries(theme.palette)) {
+        document.documentElement.style.setProperty(`--color-${key}`, value);
+    }
+    // Match the browser's toolbar and tile colours to the page background
+    document.querySelector('meta[name="theme-color"]').content = `rgb(${theme.palette.light})`;
+    document.querySelector('meta[name="msapplication-TileColor"]').content = `rgb(${theme.palette.light})`;
+    return true;
+};
@@ -0,0 +1,113 @@
+import { authors, genres } from './data.js';
+import { DEFAULT_FILTERS } from './filters.js';
+import { SHELVES } from './shelves.js';
+import { isSortOption } from './sorting.js';
+
+/**
+ * The query string parameter each search filter is stored under.
+ */
+const FILTER_PARAMS = {
+    title: 'q',
+    genres: 'genre',
+    genreMode: 'match',
+    excludeGenres: 'exclude',
+    author: 'author',
+    yearFrom: 'from',
+    yearTo: 'to',
+    pagesMin: 'min',
+    pagesMax: 'max',
+    shelf: 'shelf',
+    favorites: 'favorites',
+    sort: 'sort',
+};
+
+/**
+ * Checks whether a query string value is a whole number, as range filters expect.
+ *
+ * @param {string} value - The value to check.
+ * @returns {boolean} Whether the value is a whole number.
+ */
+const isNumber = (value) => /^\d+$/.test(value);
+
+/**
+ * Checks whether a query string value is a known genre ID.
+ *
+ * @param {string} id - The value to check.
+ * @returns {boolean} Whether the value is a genre ID.
+ */
+const isGenre = (id) => Object.hasOwn(genres, id);
+
+/**
+ * Checks each search filter read from a query string, as links may be mistyped, outdated or
+ * edited by hand. List filters are checked item by item.
+ */
+const FILTER_VALIDATORS = {
+    title: () => true,
+    genres: isGenre,
+    genreMode: (value) => value === 'any' || value === 'all',
+    excludeGenres: isGenre,
+    author: (id) => Object.hasOwn(authors, id),
+    yearFrom: isNumber,
+    yearTo: isNumber,
+    pagesMin: isNumber,
+    pagesMax: isNumber,
+    shelf: (id) => Object.hasOwn(SHELVES, id),
+    favorites: (value) => value === 'only',
+    sort: isSortOption,
+};
+
+/**
+ * Encodes the state of the book list as a query string. Filters left at their default
+ * values are omitted to keep links short.
+ *
+ * @param {Object} state - The state to encode.
+ * @param {Object} state.filters - The search filters.
+ * @param {number} state.page - How many pages of results are shown.
+ * @param {?string} [state.bookId] - The ID of the book open in the detail dialog, if any.
+ * @returns {string} The query string, including the leading '?', or '' if everything is default.
+ */
+export const stateToSearch = ({ filters, page, bookId }) => {
+    const params = new URLSearchParams();
+
+    for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+        const value = filters[key];
+        if (Array.isArray(value)) {
+            value.forEach(item => params.append(param, item));
+        } else if (value !== DEFAULT_FILTERS[key]) {
+            params.set(param, value);
+        }
+    }
+    if (page > 1) params.set('page', page);
+    if (bookId) params.set('book', bookId);
+
+    const search = params.toString();
+    return search === '' ? '' : `?${search}`;
+};
+
+/**
+ * Decodes the state of the book list from a query string, filling in defaults for
+ * anything missing or invalid, such as unknown authors, genres, shelves or sort options.
+ *
+ * @param {string} search - The query string, e.g. location.search.
+ * @returns {{filters: Object, page: number, bookId: ?string}} The decoded state.
+ */
+export const searchToState = (search) => {
+    const params = new URLSearchParams(search);
+    const filters = { ...DEFAULT_FILTERS };
+
+    for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+        const isValid = FILTER_VALIDATORS[key];
+        if (Array.isArray(DEFAULT_FILTERS[key])) {
+            filters[key] = params.getAll(param).filter(isValid);
+        } else if (params.has(param) && isValid(params.get(param))) {
+            filters[key] = params.get(param);
+        }
+    }
+
+    const page = parseInt(params.get('page'), 10);
+    return {
+        filters,
+        page: page > 0 ? page : 1,
+        bookId: params.get('book'),
+    };
+};
@@ -0,0 +1,33 @@
+import { readStorage, writeStorage } from './storage.js';
+
+const VIEW_HISTORY_STORAGE_KEY = 'view-history';
+
+/**
+ * How many opened books are remembered. Older views are forgotten first.
+ */
+const MAX_VIEWS = 200;
+
+// Most recent first: [{ id, viewedAt }]
+let views = readStorage(VIEW_HISTORY_STORAGE_KEY, []);
+
+/**
+ * Records that a book was opened and saves the history. Opening a book again moves it to
+ * the front rather than adding a second entry.
+ *
+ * @param {string} bookId - The ID of the opened book.
+ * @returns {undefined}
+ */
+export const recordView = (bookId) => {
+    views = [
+        { id: bookId, viewedAt: Date.now() },
+        ...views.filter(view => view.id !== bookId),
+    ].slice(0, MAX_VIEWS);
+    writeStorage(VIEW_HISTORY_STORAGE_KEY, views);
+};
+
+/**
+ * Returns the IDs of the books opened so far.
+ *
+ * @returns {string[]} The book IDs, most recently opened first.
+ */
+export const getViewedIds = () => views.map(view => view.id);
@@ -0,0 +1,273 @@
+/**
+ * How many rows to render above and below the visible ones, so fast scrolling doesn't
+ * reveal empty space before the next update.
+ */
+const OVERSCAN_ROWS = 3;
+
+/**
+ * Row height used for rows that haven't been rendered yet, until any row can be measured.
+ * After that, unrendered rows are assumed to be as tall as the average measured row.
+ */
+const ESTIMATED_ROW_HEIGHT = 110;
+
+/**
+ * How far below the viewport the end of the list starts loading more items.
+ */
+const LOAD_MORE_MARGIN = '0px 0px 600px 0px';
+
+/**
+ * Renders a long list into a CSS grid container, keeping only the rows near the viewport in
+ * the DOM. Spacers above and below the rendered rows stand in for the rest, so the page keeps
+ * the scroll height of the full list.
+ *
+ * @param {HTMLElement} container - The grid element to render items into.
+ * @param {function(*): HTMLElement} renderItem - Creates the element for an item.
+ * @param {function(): undefined} onEndReached - Called when the end of the list scrolls into
+ *     view, to load more items.
+ * @returns {{setItems: function(Array): undefined, destroy: function(): undefined}} The list.
+ */
+export const createVirtualList = (container, renderItem, onEndReached) => {
+    const topSpacer = document.createElement('div');
+    const bottomSpacer = document.createElement('div');
+    const sentinel = document.createElement('div');
+    topSpacer.className = 'list__spacer';
+    bottomSpacer.className = 'list__spacer';
+    sentinel.className = 'list__sentinel';
+    container.after(sentinel);
+
+    let items = [];
+    // item index -> { item, element } for the rows currently in the DOM
+    let rendered = new Map();
+    let renderedRange = '';
+    // row index -> measured height, for every row rendered since the layout last changed.
+    // Rows differ in height, e.g. for two-line titles or shelf badges.
+    let rowHeights = new Map();
+    let frame = null;
+
+    /**
+     * Sizes a spacer to stand in for a number of rows, hiding it when there are none so the
+     * grid doesn't add a gap for it.
+     *
+     * @param {HTMLElement} spacer - The spacer element.
+     * @param {number} rows - The number of rows it replaces.
+     * @param {number} height - The height of those rows, including the gaps between them.
+     * @returns {undefined}
+     */
+    const sizeSpacer = (spacer, rows, height) => {
+        spacer.hidden = rows < 1;
+        spacer.style.height = `${Math.max(0, height)}px`;
+    };
+
+    /**
+     * Calculates where each row starts, using the measured height of rows rendered before
+     * and the average measured height for the others.
+     *
+     * @param {number} totalRows - The number of rows in the list.
+     * @param {number} gap - The gap between rows.
+     * @returns {number[]} The offset of each row from the top of the list, followed by the
+     *     offset just past the last row and its gap.
+     */
+    const getRowOffsets = (totalRows, gap) => {
+        let measuredTotal = 0;
+        rowHeights.forEach(height => { measuredTotal += height; });
+        const averageHeight = rowHeights.size > 0 ? measuredTotal / rowHeights.size : ESTIMATED_ROW_HEIGHT;
+
+        const offsets = [0];
+        for (let row = 0; row < totalRows; row++) {
+            offsets.push(offsets[row] + (rowHeights.get(row) ?? averageHeight) + gap);
+        }
+        return offsets;
+    };
+
+    /**
+     * Finds the row at a distance from the top of the list.
+     *
+     * @param {number[]} offsets - The row offsets, see getRowOffsets.
+     * @param {number} distance - The distance from the top of the list.
+     * @returns {number} The index of the row, clamped to the rows of the list.
+     */
+    const findRow = (offsets, distance) => {
+        let low = 0;
+        let high = offsets.length - 2;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (offsets[middle] <= distance) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return Math.max(0, low);
+    };
+
+    /**
+     * Measures the height of each rendered row, the tallest card in it.
+     *
+     * @param {Map} next - The rendered items, see `rendered`.
+     * @param {number} columns - The number of grid columns.
+     * @returns {boolean} Whether any row measured differently than before.
+     */
+    const measureRows = (next, columns) => {
+        const measured = new Map();
+        for (const [index, { element }] of next) {
+            const row = Math.floor(index / columns);
+            measured.set(row, Math.max(measured.get(row) || 0, element.offsetHeight));
+        }
+
+        let changed = false;
+        for (const [row, height] of measured) {
+            if (height > 0 && rowHeights.get(row) !== height) {
+                rowHeights.set(row, height);
+                changed = true;
+            }
+        }
+        return changed;
+    };
+
+    /**
+     * Finds the index of the rendered item whose element has focus.
+     * @returns {number} The item index, or -1 if no rendered item has focus.
+     */
+    const getFocusedIndex = () => {
+        for (const [index, { item, element }] of rendered) {
+            // Items that moved or left the list, e.g. after a new search, are not kept
+            if (items[index] !== item) continue;
+            if (element === document.activeElement || element.contains(document.activeElement)) return index;
+        }
+        return -1;
+    };
+
+    /**
+     * Brings the DOM in line with the items to render, only adding and removing the elements
+     * that changed. Elements that stay are never moved, so a focused card keeps its focus.
+     *
+     * @param {Map} next - The items to render, see `rendered`.
+     * @returns {undefined}
+     */
+    const patchElements = (next) => {
+        if (topSpacer.parentNode !== container) container.replaceChildren(topSpacer, bottomSpacer);
+
+        for (const [index, { element }] of rendered) {
+            if (next.get(index)?.element !== element) element.remove();
+        }
+
+        let previous = topSpacer;
+        for (const { element } of next.values()) {
+            if (previous.nextSibling !== element) previous.after(element);
+            previous = element;
+        }
+    };
+
+    /**
+     * Renders the rows near the viewport, reusing elements for items already rendered.
+     * @returns {undefined}
+     */
+    const update = () => {
+        frame = null;
+        const style = getComputedStyle(container);
+        const columns = style.gridTemplateColumns.split(' ').filter(Boolean).length || 1;
+        const gap = parseFloat(style.rowGap) || 0;
+        const totalRows = Math.ceil(items.length / columns);
+        const offsets = getRowOffsets(totalRows, gap);
+
+        // How far the top of the list has scrolled past the top of the viewport
+        const scrolled = -container.getBoundingClientRect().top;
+        let firstRow = Math.min(totalRows, Math.max(0, findRow(offsets, scrolled) - OVERSCAN_ROWS));
+        let lastRow = Math.min(totalRows, Math.max(firstRow, findRow(offsets, scrolled + window.innerHeight) + 1 + OVERSCAN_ROWS));
+        // Keep rendering up to the focused card while it is scrolled away, so it keeps focus
+        const focusedIndex = getFocusedIndex();
+        if (focusedIndex >= 0) {
+            const focusedRow = Math.floor(focusedIndex / columns);
+            firstRow = Math.min(firstRow, focusedRow);
+            lastRow = Math.max(lastRow, focusedRow + 1);
+        }
+        const start = firstRow * columns;
+        const end = Math.min(items.length, lastRow * columns);
+
+        sizeSpacer(topSpacer, firstRow, offsets[firstRow] - gap);
+        sizeSpacer(bottomSpacer, totalRows - lastRow, offsets[totalRows] - offsets[lastRow] - gap);
+
+        const range = `${start}-${end}-${items.length}`;
+        if (range === renderedRange) return;
+        renderedRange = range;
+
+        const next = new Map();
+        for (let index = start; index < end; index++) {
+            const previous = rendered.get(index);
+            next.set(index, previous && previous.item === items[index]
+                ? previous
+                : { item: items[index], element: renderItem(items[index]) });
+        }
+        patchElements(next);
+        rendered = next;
+
+        // Lay out again with the real heights of the rendered rows if they differ from the
+        // estimate, which leaves the layout unchanged once every row has been measured
+        if (measureRows(next, columns)) {
+            renderedRange = '';
+            scheduleUpdate();
+        }
+    };
+
+    /**
+     * Schedules an update for the next animation frame, at most once per frame.
+     * @returns {undefined}
+     */
+    const scheduleUpdate = () => {
+        if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    /**
+     * Remeasures rows after the layout may have changed, e.g. when the grid gains a column.
+     * @returns {undefined}
+     */
+    const handleResize = () => {
+        rowHeights = new Map();
+        renderedRange = '';
+        scheduleUpdate();
+    };
+
+    const observer = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) onEndReached();
+    }, { rootMargin: LOAD_MORE_MARGIN });
+    observer.observe(sentinel);
+
+    window.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', handleResize);
+
+    /**
+     * Replaces the items in the list. Items that stay at the same position keep their
+     * elements, so loading more items doesn't re-render the visible ones.
+     *
+     * @param {Array} newItems - The items to render.
+     * @returns {undefined}
+     */
+    const setItems = (newItems) => {
+        // Loading more items keeps the rows measured so far, while other changes move items
+        // to different rows
+        if (!items.every((item, index) => newItems[index] === item)) rowHeights = new Map();
+        items = newItems;
+        renderedRange = '';
+        update();
+        // Observing again re-checks the sentinel, in case the list is still too short to fill
+        // the viewport and no intersection change would otherwise be reported
+        observer.unobserve(sentinel);
+        observer.observe(sentinel);
+    };
+
+    /**
+     * Stops rendering and removes the list's elements, leaving the container empty.
+     * @returns {undefined}
+     */
+    const destroy = () => {
+        if (frame !== null) cancelAnimationFrame(frame);
+        rendered = new Map();
+        observer.disconnect();
+        window.removeEventListener('scroll', scheduleUpdate);
+        window.removeEventListener('resize', handleResize);
+        sentinel.remove();
+        container.replaceChildren();
+    };
+
+    return { setItems, destroy };
+};